@@ -1,10 +1,46 @@
-declare class RefError extends Error {
-    ref: any;
-    constructor(message?: string, ref?: any, ...args: any[]);
+import { EventEmitter } from "events";
+import { ErrorCodes, ErrorCode, ClientError, ChessError } from "./Errors";
+import { Transport, TransportOptions } from "./Transport";
+import { SessionRecorder } from "./SessionRecorder";
+import { Logger, LogLevel } from "./Logger";
+import { Metrics, IHistogramSnapshot } from "./Metrics";
+import { RateLimiter } from "./RateLimiter";
+
+export { ErrorCodes, ErrorCode, ClientError, ChessError };
+
+type RetryPolicyOptions = {
+    maxRetries?: number;
+    delay?: number;
+    jitter?: number;
+    factor?: number;
+    maxDelay?: number;
+    codes?: ErrorCode[] | null;
+};
+
+export declare class RetryPolicy {
+    static delay(ms: number): Promise<void>;
+
+    options: RetryPolicyOptions;
+
+    maxRetries: number;
+    delay: number;
+    jitter: number;
+    factor: number;
+    maxDelay: number;
+    codes: ErrorCode[] | null;
+
+    constructor(options?: RetryPolicyOptions);
+
+    shouldRetry(err: any, attempt: number): boolean;
+    getDelay(attempt: number): number;
+
+    run<T>(
+        func: (attempt: number) => Promise<T>,
+        onRetry?: (err: ClientError, attempt: number, delay: number) => void
+    ): Promise<T>;
 }
 
-export declare class ClientError extends RefError {}
-export declare class ChessError extends RefError {}
+type RetryPolicies = Record<"send" | "move" | "view" | string, RetryPolicy>;
 
 export const enum MoveTypes {
     MOVE_TYPE_NORMAL = 0,
@@ -29,6 +65,29 @@ export const enum PieceColors {
 }
 export type PieceColor = (typeof PieceColors)[keyof typeof PieceColors];
 
+export const enum CastleSides {
+    kingside = "kingside",
+    queenside = "queenside"
+}
+export type CastleSide = (typeof CastleSides)[keyof typeof CastleSides];
+
+export const enum ConnectionStates {
+    idle = "idle",
+    connecting = "connecting",
+    open = "open",
+    closing = "closing",
+    closed = "closed",
+    backoff = "backoff",
+    destroyed = "destroyed"
+}
+export type ConnectionState = (typeof ConnectionStates)[keyof typeof ConnectionStates];
+
+export const enum ConnectionScopes {
+    global = "global",
+    egress = "egress"
+}
+export type ConnectionScope = (typeof ConnectionScopes)[keyof typeof ConnectionScopes];
+
 interface IPieceData {
     id: number;
     type: PieceTypes;
@@ -45,6 +104,20 @@ interface IPieceData {
     captureCount: number;
 }
 
+interface IPieceMoveState {
+    x: number;
+    y: number;
+    _type: number;
+    moveCount: number;
+    captureCount: number;
+    justDoubleMoved: boolean;
+}
+
+interface IMoveUndo {
+    moved: { piece: Piece; before: IPieceMoveState; after: IPieceMoveState }[];
+    captured: { piece: Piece; before: IPieceMoveState }[];
+}
+
 export declare class Piece {
     static maxMoveDistance: number;
 
@@ -63,12 +136,17 @@ export declare class Piece {
     _type: number;
     type: PieceTypeShort;
 
+    pendingMoves: number;
+    readonly pending: boolean;
+
     constructor(x: number, y: number, data: IPieceData);
 
     canMoveTo(x: number, y: number, moveType?: MoveTypes): boolean;
 
     move(x: number, y: number, floor?: boolean): void;
     capture(x: number, y: number, floor?: boolean): void;
+    update(x: number, y: number, data: IPieceData, floor?: boolean): void;
+    adopt(): void;
 
     toString(): string;
 }
@@ -128,6 +206,7 @@ export declare class Board extends Map<string, Piece> {
     delete(x: number, y: number, validate?: boolean): boolean;
 
     getById(id: number): Piece | null;
+    applyMove(x: number, y: number, data: IPieceData): Piece | null;
 
     find(type?: PieceTypes | PieceTypeShort | null, color?: PieceColor | number | null): Piece | null;
     findInArea(
@@ -145,21 +224,46 @@ export declare class Board extends Map<string, Piece> {
         y: number
     ): Piece | null;
 
-    movePiece(piece: Piece, toX: number, toY: number, capture?: boolean, validate?: boolean): Piece;
+    canMovePiece(piece: Piece, toX: number, toY: number, type?: MoveTypes): boolean;
+    movePieceWithUndo(
+        piece: Piece,
+        toX: number,
+        toY: number,
+        type?: MoveTypes,
+        capture?: boolean,
+        validate?: boolean
+    ): IMoveUndo;
+    undoMove(undo: IMoveUndo): boolean;
+
+    getCastlingRook(king: Piece, toX: number): Piece | null;
+
+    movePiece(piece: Piece, toX: number, toY: number, type?: MoveTypes, capture?: boolean, validate?: boolean): Piece;
     moveFromPosition(
         fromX: number,
         fromY: number,
         toX: number,
         toY: number,
+        type?: MoveTypes,
         capture?: boolean,
         validate?: boolean
     ): Piece;
-    moveWithId(id: number, toX: number, toY: number, capture?: boolean, validate?: boolean): Piece;
+    moveWithId(id: number, toX: number, toY: number, type?: MoveTypes, capture?: boolean, validate?: boolean): Piece;
 
     capturePiece(piece: Piece, validate?: boolean): Piece;
     captureOnPosition(x: number, y: number, validate?: boolean): Piece;
     captureWithId(id: number, validate?: boolean): Piece;
 
+    adoptPiece(piece: Piece, validate?: boolean): Piece;
+    adoptWithId(id: number, validate?: boolean): Piece;
+
+    seqnum: number;
+    snapshotSeqnum: number;
+
+    getSeqnum(id?: number | null): number;
+    isStale(seqnum: number, id?: number | null): boolean;
+    applySeqnum(seqnum: number, id?: number | null): void;
+    resetSeqnum(seqnum: number): void;
+
     clear(): void;
 
     entries(): Iterable<[[number, number], Piece]>;
@@ -168,67 +272,253 @@ export declare class Board extends Map<string, Piece> {
     toString(pretty = true): string;
 }
 
-type ChessClientOptions = {
+interface IPosition {
+    x: number;
+    y: number;
+}
+
+interface IPieceDataForMove extends IPosition {
+    seqnum: number | Long;
+    piece: IPieceData;
+}
+
+interface IPieceDataForSnapshot {
+    dx: number;
+    dy: number;
+    piece: IPieceData;
+}
+
+interface IPieceCapture {
+    capturedPieceId: number;
+    seqnum: number | Long;
+}
+
+interface IServerStateSnapshot {
+    xCoord: number;
+    yCoord: number;
+    seqnum: number | Long;
+    pieces: IPieceDataForSnapshot[];
+}
+
+interface IServerValidMove {
+    asOfSeqnum: number | Long;
+    moveToken: number;
+    capturedPieceId: number;
+}
+
+interface IServerInvalidMove {
+    moveToken: number;
+}
+
+interface IServerAdoption {
+    adoptedIds: number[];
+}
+
+interface IServerBulkCapture {
+    seqnum: number | Long;
+    capturedIds: number[];
+}
+
+type Long = { low: number; high: number; unsigned: boolean; toNumber(): number };
+
+export interface IRequestOptions {
+    signal?: AbortSignal;
+    timeout?: number;
+}
+
+export interface IMoveResult {
+    moveToken: number;
+    seqnum: number;
+    capturedPieceId: number | null;
+    captured: Piece | null;
+    latency: number;
+}
+
+export interface IClientStats {
+    reconnects: number;
+
+    movesSent: number;
+    movesConfirmed: number;
+    movesInvalid: number;
+    moveTimeouts: number;
+    captures: number;
+
+    viewMovesSent: number;
+    viewTimeouts: number;
+
+    bytesReceived: number;
+    bytesDecoded: number;
+    compressedBytes: number;
+    decompressedBytes: number;
+
+    moveLatency: IHistogramSnapshot;
+    viewLatency: IHistogramSnapshot;
+    pingRtt: IHistogramSnapshot;
+    zstdRatio: IHistogramSnapshot;
+
+    compressionRatio: number | null;
+    invalidRate: number | null;
+}
+
+export interface ChessClientEvents {
+    connected: [];
+    disconnected: [{ code: number }];
+    reconnecting: [{ attempt: number; delay: number }];
+    stateChange: [{ from: ConnectionState; to: ConnectionState }];
+
+    snapshot: [{ snapshot: IServerStateSnapshot; seqnum: number }];
+    pieceMoved: [{ move: IPieceDataForMove; piece: Piece | null; seqnum: number }];
+    pieceCaptured: [{ capture: IPieceCapture; piece: Piece | null; seqnum: number }];
+    adoption: [{ adoption: IServerAdoption; pieces: Piece[] }];
+    bulkCapture: [{ bulkCapture: IServerBulkCapture; pieces: Piece[]; seqnum: number }];
+
+    moveConfirmed: [{ move: IServerValidMove; piece: Piece; seqnum: number }];
+    moveRolledBack: [{ moveToken: number; piece: Piece; restored: boolean }];
+    moveRejected: [{ move: IServerInvalidMove; piece: Piece }];
+
+    desync: [{ reason: string; ref: any }];
+}
+
+type ChessEndpoint = {
+    scheme?: "ws" | "wss";
+    host?: string;
+    path?: string;
+};
+
+type ChessClientOptions = ChessEndpoint & {
     k?: number;
     defaultJitter?: number;
     maxRPS?: number;
     reconnectDelay?: number;
+    maxReconnectDelay?: number;
     retryDelay?: number;
     maxRetryCount?: number;
+    retryPolicies?: Partial<Record<"send" | "move" | "view" | string, RetryPolicy | RetryPolicyOptions>>;
+    autoResync?: boolean;
+    optimistic?: boolean;
+    requireColor?: boolean;
+    pipelineDepth?: number;
+    moveTimeout?: number;
+    viewTimeout?: number;
+    resumeView?: boolean;
+    transport?: new (url: string, options: TransportOptions) => Transport;
+    transportOptions?: TransportOptions;
+    proxy?: string | null;
+    record?: string | SessionRecorder | null;
+    rateLimiter?: RateLimiter | null;
+    logger?: Logger;
 };
 
-export declare class ChessClient {
+export declare class ChessClient extends EventEmitter {
     static UserAgent: string;
     static Cookies: Record<string, string>;
 
+    static logger: Logger;
+
     static maxConnections: number;
+    static connectionScope: ConnectionScope;
     static minViewDist: number;
 
     static delay(ms: number): Promise<void>;
 
-    static getHttpsUrl(): string;
-    static getServerUrl(x0: number, y0: number, colorPref: PieceColor): string;
+    static validateProxy(proxy: string | null): string | null;
+    static getEgress(proxy: string | null): string;
+    static getConnectionCount(egress?: string | null): number;
+
+    static host: string;
+    static scheme: "ws" | "wss";
+    static path: string;
+
+    static getHttpsUrl(endpoint?: ChessEndpoint): string;
+    static getServerUrl(x0: number, y0: number, colorPref: PieceColor, endpoint?: ChessEndpoint): string;
+    static getStats(metrics: Metrics): IClientStats;
 
     url: string;
     options: ChessClientOptions;
+    endpoint: Required<ChessEndpoint>;
+
+    transport: new (url: string, options: TransportOptions) => Transport;
+    transportOptions: TransportOptions;
+
+    proxy: string | null;
+    egress: string;
+
+    recorder: SessionRecorder | null;
 
     k: number;
+    logger: Logger;
+    metrics: Metrics;
 
     defaultJitter: number;
     maxRPS: number;
+    rateLimiter: RateLimiter | null;
 
     reconnectDelay: number;
+    maxReconnectDelay: number;
     autoReconnect: boolean;
 
     retryDelay: number;
     maxRetryCount: number;
     enableRetry: number;
 
+    retryPolicies: RetryPolicies;
+
+    autoResync: boolean;
+    optimistic: boolean;
+    pipelineDepth: number;
+
+    moveTimeout: number;
+    viewTimeout: number;
+    resumeView: boolean;
+
     x0: number;
     y0: number;
-    colorPref: number;
+    colorPref: PieceColor;
+
+    playingColor: PieceColor | null;
+    startPosition: { x: number | null; y: number | null } | null;
+    requireColor: boolean;
 
     board: Board;
+    adoptedIds: Set<number>;
 
     totalMoves: number;
     totalCaptures: number;
 
-    connected: boolean;
-    destroyed: boolean;
+    readonly state: ConnectionState;
+    readonly connected: boolean;
+    readonly destroyed: boolean;
 
     constructor(x0: number, y0: number, color: PieceColor, options?: ChessClientOptions);
     constructor(coords: [number, number], color: PieceColor, options?: ChessClientOptions);
 
-    log(level: string, ...data: any): void;
+    log(level: LogLevel, ...data: any): void;
     log(...data: any): void;
 
     init(): Promise<void>;
 
     sendRequest(msg: object): Promise<void>;
 
-    movePiece(piece: Piece, toX: number, toY: number, type?: MoveTypes): Promise<{ moveToken: number }>;
-    moveView(centerX: number, centerY: number): Promise<void>;
+    movePiece(
+        piece: Piece,
+        toX: number,
+        toY: number,
+        type?: MoveTypes,
+        options?: IRequestOptions
+    ): Promise<IMoveResult>;
+    castle(king: Piece, side: CastleSide, options?: IRequestOptions): Promise<IMoveResult>;
+    enPassant(pawn: Piece, target: Piece, options?: IRequestOptions): Promise<IMoveResult>;
+
+    moveView(centerX: number, centerY: number, options?: IRequestOptions): Promise<void>;
+    resync(): Promise<void>;
+
+    stats(): IClientStats;
 
     disconnect(): void;
     destroy(): void;
+
+    on<K extends keyof ChessClientEvents>(event: K, listener: (...args: ChessClientEvents[K]) => void): this;
+    once<K extends keyof ChessClientEvents>(event: K, listener: (...args: ChessClientEvents[K]) => void): this;
+    off<K extends keyof ChessClientEvents>(event: K, listener: (...args: ChessClientEvents[K]) => void): this;
+    emit<K extends keyof ChessClientEvents>(event: K, ...args: ChessClientEvents[K]): boolean;
 }
@@ -1,8 +1,15 @@
 "use strict";
 
-const WebSocket = require("ws");
+const EventEmitter = require("events");
+const util = require("util");
 const fzstd = require("fzstd");
 
+const { ErrorCodes, ClientError, ChessError } = require("./Errors.js");
+const { WebSocketTransport } = require("./Transport.js");
+const { SessionRecorder } = require("./SessionRecorder.js");
+const { Logger, LogLevels } = require("./Logger.js");
+const { Metrics } = require("./Metrics.js");
+
 const { chess } = require("./chess.js");
 const {
     PieceType: PieceTypes,
@@ -13,31 +20,80 @@ const {
     PieceDataShared
 } = chess;
 
-class CustomError extends Error {
-    constructor(message = "", ...args) {
-        super(message, ...args);
+class RetryPolicy {
+    static delay(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    constructor(options = {}) {
+        this.options = options;
+
+        this.maxRetries = options.maxRetries ?? 0;
+
+        this.delay = options.delay ?? 1000;
+        this.jitter = options.jitter ?? 0;
 
-        this.name = this.constructor.name;
-        Error.captureStackTrace(this, this.constructor);
+        this.factor = options.factor ?? 1;
+        this.maxDelay = options.maxDelay ?? Infinity;
+
+        this.codes = options.codes ?? null;
     }
-}
 
-class RefError extends CustomError {
-    constructor(message = "", ref, ...args) {
-        super(message, ...args);
+    shouldRetry(err, attempt) {
+        if (attempt > this.maxRetries || !(err instanceof ClientError)) return false;
 
-        this.ref = ref;
+        if (this.codes !== null) return this.codes.includes(err.code);
+        return err.retryable;
     }
-}
 
-class ClientError extends RefError {}
-class ChessError extends ClientError {}
+    getDelay(attempt) {
+        const base = Math.min(this.delay * this.factor ** (attempt - 1), this.maxDelay),
+            time = base + (Math.random() * this.jitter - this.jitter / 2);
+
+        return Math.max(time, 0);
+    }
+
+    async run(func, onRetry) {
+        for (let attempt = 1; ; attempt++) {
+            try {
+                return await func(attempt);
+            } catch (err) {
+                if (!this.shouldRetry(err, attempt)) throw err;
+
+                const delay = this.getDelay(attempt);
+                onRetry?.(err, attempt, delay);
+
+                await RetryPolicy.delay(delay);
+            }
+        }
+    }
+}
 
 const PieceColors = Object.freeze({
     black: "black",
     white: "white"
 });
 
+const CastleSides = Object.freeze({
+    kingside: "kingside",
+    queenside: "queenside"
+});
+
+const ConnectionStates = Object.freeze({
+    idle: "idle",
+    connecting: "connecting",
+    open: "open",
+    closing: "closing",
+    closed: "closed",
+    backoff: "backoff",
+    destroyed: "destroyed"
+});
+
+const ConnectionScopes = Object.freeze({
+    global: "global",
+    egress: "egress"
+});
+
 class Piece {
     static maxMoveDistance = 25;
 
@@ -55,15 +111,9 @@ class Piece {
 
     constructor(x, y, data) {
         this._move(x, y);
-        data = PieceDataShared.toObject(data, { defaults: true });
-
-        this._type = data.type;
-        this._color = Number(data.isWhite);
+        this._assignData(data);
 
-        delete data.type;
-        delete data.isWhite;
-
-        Object.assign(this, data);
+        this.pendingMoves = 0;
     }
 
     get type() {
@@ -86,6 +136,10 @@ class Piece {
         return Piece.symbols[this._type][this.color];
     }
 
+    get pending() {
+        return this.pendingMoves > 0;
+    }
+
     canMoveTo(x, y, moveType = MoveTypes.MOVE_TYPE_NORMAL) {
         const x1 = this.x,
             y1 = this.y,
@@ -114,12 +168,8 @@ class Piece {
 
         switch (this._type) {
             case PieceTypes.PIECE_TYPE_PAWN:
-                const firstMove = this.moveCount < 1;
-
-                let direction;
-
-                if (this._color === 0) direction = 1;
-                else if (this._color === 1) direction = -1;
+                const firstMove = this.moveCount < 1,
+                    direction = this._getDirection();
 
                 if (dx === 0) return dy === direction || (firstMove && dy === 2 * direction);
                 else if (Math.abs(dx) === 1 && dy === direction) return true;
@@ -156,18 +206,30 @@ class Piece {
         this.captureCount++;
     }
 
+    update(x, y, data, floor = true) {
+        this._move(x, y, floor);
+        this._assignData(data);
+    }
+
+    adopt() {
+        if (this.adopted) return;
+
+        this._color = 1 - this._color;
+        this.adopted = true;
+    }
+
     static _typePrefix = "PIECE_TYPE_";
     static _validColors = Object.values(PieceColors);
 
     static _validateTypeStr(str) {
         if (typeof PieceTypes[str] !== "number") {
-            throw new ChessError("Invalid piece type: " + str, str);
+            throw new ChessError("Invalid piece type: " + str, str, ErrorCodes.INVALID_ARGUMENT);
         }
     }
 
     static _validateTypeNum(num) {
         if (typeof PieceTypes[num] !== "string") {
-            throw new ChessError("Invalid piece type: " + num, num);
+            throw new ChessError("Invalid piece type: " + num, num, ErrorCodes.INVALID_ARGUMENT);
         }
     }
 
@@ -192,19 +254,19 @@ class Piece {
                 const str = Piece._shortToType(val, true);
                 return PieceTypes[str];
             default:
-                throw new ChessError("Invalid type value");
+                throw new ChessError("Invalid type value", null, ErrorCodes.INVALID_ARGUMENT);
         }
     }
 
     static _validateColorStr(str) {
         if (!Piece._validColors.includes(str)) {
-            throw new ChessError("Invalid color: " + str, str);
+            throw new ChessError("Invalid color: " + str, str, ErrorCodes.INVALID_ARGUMENT);
         }
     }
 
     static _validateColorNum(num) {
         if (num < 0 || num >= Piece._validColors.length) {
-            throw new ChessError("Invalid color: " + num, num);
+            throw new ChessError("Invalid color: " + num, num, ErrorCodes.INVALID_ARGUMENT);
         }
     }
 
@@ -226,7 +288,7 @@ class Piece {
             case "string":
                 return Piece._colorToNum(val, true);
             default:
-                throw new ChessError("Invalid color value");
+                throw new ChessError("Invalid color value", null, ErrorCodes.INVALID_ARGUMENT);
         }
     }
 
@@ -235,6 +297,37 @@ class Piece {
         this.y = floor ? Math.floor(y) : y;
     }
 
+    _getDirection() {
+        return this._color === 0 ? 1 : -1;
+    }
+
+    _getMoveState() {
+        return {
+            x: this.x,
+            y: this.y,
+            _type: this._type,
+            moveCount: this.moveCount,
+            captureCount: this.captureCount,
+            justDoubleMoved: this.justDoubleMoved
+        };
+    }
+
+    _hasMoveState(state) {
+        return this.x === state.x && this.y === state.y;
+    }
+
+    _assignData(data) {
+        data = PieceDataShared.toObject(data, { defaults: true });
+
+        this._type = data.type;
+        this._color = Number(data.isWhite);
+
+        delete data.type;
+        delete data.isWhite;
+
+        Object.assign(this, data);
+    }
+
     toString() {
         const filtered = Object.fromEntries(Object.entries(this).filter(([key]) => !key.startsWith("_")));
 
@@ -312,11 +405,16 @@ class Board extends Map {
         Board._validateCenterCoords(centerX, centerY);
         super();
 
+        this._ids = new Map();
+        this._boards = new Map();
+
         this.length = length ?? 95;
         this.radius = Math.floor((this.length - 1) / 2);
 
         this._initCoords();
         this._setCoords(centerX, centerY);
+
+        this._initSeqnums();
     }
 
     get centerX() {
@@ -386,32 +484,66 @@ class Board extends Map {
             piece = new Piece(x, y, piece);
         }
 
+        const occupant = super.get(key),
+            previous = this._ids.get(piece.id);
+
+        if (typeof occupant !== "undefined" && occupant !== piece) {
+            this._removeIndexes(occupant);
+        }
+
+        if (typeof previous !== "undefined" && previous !== occupant) {
+            this._removePiece(previous);
+        }
+
+        this._addIndexes(piece);
         return super.set(key, piece);
     }
 
     delete(x, y, validate = true) {
-        let key;
+        let key, expected;
 
         if (typeof x === "string") key = x;
         else {
             if (x instanceof Piece) {
-                const piece = x;
+                expected = x;
 
-                x = piece.x;
-                y = piece.y;
+                x = expected.x;
+                y = expected.y;
             } else if (validate && !this.pieceInBounds(x, y)) return false;
             key = Board._getCoordsKey(x, y, validate);
         }
 
+        const piece = super.get(key);
+
+        if (typeof piece === "undefined") return false;
+        if (typeof expected !== "undefined" && piece !== expected) return false;
+
+        this._removeIndexes(piece);
         return super.delete(key);
     }
 
     getById(id) {
-        for (const piece of this.values()) {
-            if (piece.id === id) return piece;
+        return this._ids.get(id) ?? null;
+    }
+
+    applyMove(x, y, data) {
+        const piece = this.getById(data.id);
+
+        if (!this.pieceInBounds(x, y)) {
+            if (piece !== null) this.delete(piece);
+            return null;
         }
 
-        return null;
+        if (piece === null) {
+            this.set(x, y, data, false);
+            return this.get(x, y, false);
+        }
+
+        this.delete(piece);
+        piece.update(x, y, data);
+
+        this.set(x, y, piece, false);
+        return piece;
     }
 
     find(type, color) {
@@ -440,16 +572,27 @@ class Board extends Map {
         if (w <= 0 || h <= 0) return null;
         if (!this.pieceInBounds(x1, y1) || !this.pieceInBounds(x2, y2)) return null;
 
-        for (const [pos, piece] of this.entries()) {
-            const typeMismatch = checkType && piece._type !== type,
-                colorMismatch = checkColor && piece._color !== color;
+        const [startX, startY] = Board.getBoardCorner(x1, y1),
+            [endX, endY] = Board.getBoardCorner(x2, y2);
+
+        for (let boardY = startY; boardY <= endY; boardY += Board.boardSize) {
+            for (let boardX = startX; boardX <= endX; boardX += Board.boardSize) {
+                const pieces = this._boards.get(Board._getCoordsKey(boardX, boardY, false));
+                if (typeof pieces === "undefined") continue;
 
-            if (typeMismatch || colorMismatch) continue;
+                for (const piece of pieces) {
+                    const typeMismatch = checkType && piece._type !== type,
+                        colorMismatch = checkColor && piece._color !== color;
 
-            const [a, b] = pos;
+                    if (typeMismatch || colorMismatch) continue;
 
-            if (a >= x1 && b >= y1 && a <= x2 && b <= y2) {
-                return piece;
+                    const a = piece.x,
+                        b = piece.y;
+
+                    if (a >= x1 && b >= y1 && a <= x2 && b <= y2) {
+                        return piece;
+                    }
+                }
             }
         }
 
@@ -465,15 +608,39 @@ class Board extends Map {
         return this.findInArea(type, color, x1, y1, w, h);
     }
 
+    canMovePiece(piece, toX, toY, type) {
+        try {
+            this._validatePieceMove(piece, toX, toY, type);
+            return true;
+        } catch (err) {
+            if (err instanceof ChessError) return false;
+            throw err;
+        }
+    }
+
     movePiece(piece, toX, toY, type, capture = false, validate = true) {
         if (validate) {
             if (piece == null) {
-                throw new ChessError("No piece provided");
+                throw new ChessError("No piece provided", null, ErrorCodes.NO_PIECE);
             }
 
             this._validatePieceMove(piece, toX, toY, type);
         }
 
+        switch (type) {
+            case MoveTypes.MOVE_TYPE_CASTLE:
+                this._moveCastlingRook(piece, toX, validate);
+                break;
+
+            case MoveTypes.MOVE_TYPE_EN_PASSANT:
+                // With capture set the caller has already removed the victim, e.g. by id
+                if (!capture) this._captureEnPassant(piece, toX);
+                capture = true;
+
+                break;
+        }
+
+        const fromY = piece?.y;
         this.delete(piece?.x, piece?.y, validate);
 
         if (capture || this.has(toX, toY, validate)) {
@@ -482,10 +649,82 @@ class Board extends Map {
             piece.move(toX, toY, validate);
         }
 
+        if (piece._type === PieceTypes.PIECE_TYPE_PAWN) {
+            piece.justDoubleMoved = Math.abs(piece.y - fromY) === 2;
+            if (Board._isPromotionRank(piece)) piece._type = PieceTypes.PIECE_TYPE_PROMOTED_PAWN;
+        }
+
         this.set(toX, toY, piece, validate);
         return piece;
     }
 
+    movePieceWithUndo(piece, toX, toY, type, capture = false, validate = true) {
+        if (validate) {
+            if (piece == null) {
+                throw new ChessError("No piece provided", null, ErrorCodes.NO_PIECE);
+            }
+
+            this._validatePieceMove(piece, toX, toY, type);
+        }
+
+        const captured =
+                type === MoveTypes.MOVE_TYPE_EN_PASSANT
+                    ? this._getEnPassantVictim(piece, toX)
+                    : this.get(Math.floor(toX), Math.floor(toY), false),
+            rook = type === MoveTypes.MOVE_TYPE_CASTLE ? this.getCastlingRook(piece, toX) : null;
+
+        const getEntry = entry => ({ piece: entry, before: entry._getMoveState() });
+
+        const undo = {
+            moved: [piece, rook].filter(entry => entry !== null).map(getEntry),
+            captured: captured !== null ? [getEntry(captured)] : []
+        };
+
+        this.movePiece(piece, toX, toY, type, capture, false);
+
+        for (const entry of undo.moved) entry.after = entry.piece._getMoveState();
+        return undo;
+    }
+
+    undoMove(undo) {
+        const moved = undo.moved.filter(({ piece, after }) => {
+            return piece._hasMoveState(after) && this.get(piece.x, piece.y, false) === piece;
+        });
+
+        for (const { piece } of moved) this.delete(piece);
+
+        let restored = moved.length === undo.moved.length;
+
+        for (const { piece, before } of moved.concat(undo.captured)) {
+            if (this.getById(piece.id) !== null || this.has(before.x, before.y, false)) {
+                restored = false;
+                continue;
+            }
+
+            Object.assign(piece, before);
+            this.set(piece.x, piece.y, piece, false);
+        }
+
+        return restored;
+    }
+
+    getCastlingRook(king, toX) {
+        const dir = Math.sign(Math.floor(toX) - king.x),
+            [cornerX] = Board.getBoardCorner(king.x, king.y);
+
+        if (dir === 0) return null;
+
+        for (let x = king.x + dir; x >= cornerX && x < cornerX + Board.boardSize; x += dir) {
+            const piece = this.get(x, king.y, false);
+            if (piece === null) continue;
+
+            const isRook = piece._type === PieceTypes.PIECE_TYPE_ROOK && piece._color === king._color;
+            return isRook ? piece : null;
+        }
+
+        return null;
+    }
+
     moveFromPosition(fromX, fromY, ...args) {
         return this._performAction(() => this.get(fromX, fromY), this.movePiece, args, 5);
     }
@@ -496,7 +735,7 @@ class Board extends Map {
 
     capturePiece(piece, validate = true) {
         if (validate && piece == null) {
-            throw new ChessError("No piece provided");
+            throw new ChessError("No piece provided", null, ErrorCodes.NO_PIECE);
         }
 
         this.delete(piece?.x, piece?.y, validate);
@@ -511,9 +750,47 @@ class Board extends Map {
         return this._performAction(() => this.getById(id), this.capturePiece, args, 1);
     }
 
+    adoptPiece(piece, validate = true) {
+        if (piece == null) {
+            if (validate) throw new ChessError("No piece provided", null, ErrorCodes.NO_PIECE);
+            return piece;
+        }
+
+        piece.adopt();
+        return piece;
+    }
+
+    adoptWithId(id, ...args) {
+        return this._performAction(() => this.getById(id), this.adoptPiece, args, 1);
+    }
+
+    getSeqnum(id) {
+        if (id == null) return this.snapshotSeqnum;
+        return Math.max(this._seqnums.get(id) ?? 0, this.snapshotSeqnum);
+    }
+
+    isStale(seqnum, id) {
+        return seqnum <= this.getSeqnum(id);
+    }
+
+    applySeqnum(seqnum, id) {
+        if (id != null) this._seqnums.set(id, Math.max(this._seqnums.get(id) ?? 0, seqnum));
+        this.seqnum = Math.max(this.seqnum, seqnum);
+    }
+
+    resetSeqnum(seqnum) {
+        this._initSeqnums();
+        this.seqnum = this.snapshotSeqnum = seqnum;
+    }
+
     clear() {
         super.clear();
+
+        this._ids.clear();
+        this._boards.clear();
+
         this._initCoords();
+        this._initSeqnums();
     }
 
     *entries() {
@@ -598,7 +875,7 @@ class Board extends Map {
         if (x != null) ref.x0 = x;
         if (y != null) ref.y0 = y;
 
-        throw new ChessError(msg, ref);
+        throw new ChessError(msg, ref, ErrorCodes.OUT_OF_BOUNDS);
     }
 
     static _getCoordsKey(x, y, floor = true) {
@@ -617,6 +894,13 @@ class Board extends Map {
             .slice(0, 2);
     }
 
+    static _isPromotionRank(piece) {
+        const row = piece.y % this.boardSize,
+            lastRow = piece._getDirection() > 0 ? this.boardSize - 1 : 0;
+
+        return row === lastRow;
+    }
+
     static _getFindParams(type, color) {
         const checkType = type != null,
             checkColor = color != null;
@@ -636,6 +920,13 @@ class Board extends Map {
         this.bottomY = null;
     }
 
+    _initSeqnums() {
+        this.seqnum = 0;
+        this.snapshotSeqnum = 0;
+
+        this._seqnums = new Map();
+    }
+
     _setCoords(x, y) {
         if (typeof x === "number") {
             this._centerX = x;
@@ -654,170 +945,514 @@ class Board extends Map {
         return x >= this.leftX && y >= this.topY && x <= this.rightX && y <= this.bottomY;
     }
 
-    _validatePieceMove(piece, toX, toY, type) {
-        if (!this.pieceInBounds(piece)) {
-            throw new ChessError("Can't move piece that's outside of board bounds", {
-                x: piece.x,
-                y: piece.y
-            });
-        }
+    _addIndexes(piece) {
+        this._ids.set(piece.id, piece);
 
-        if (!this.pieceInBounds(toX, toY)) {
-            throw new ChessError("Can't move piece to outside of board bounds", {
-                toX,
-                toY
-            });
-        }
+        const boardKey = Board._getCoordsKey(...Board.getBoardCorner(piece.x, piece.y), false);
+        let pieces = this._boards.get(boardKey);
 
-        if (!piece.canMoveTo(toX, toY, type)) {
-            throw new ChessError(`Can't move piece to: ${toX}, ${toY}`, {
-                toX,
-                toY
-            });
+        if (typeof pieces === "undefined") {
+            pieces = new Set();
+            this._boards.set(boardKey, pieces);
         }
+
+        pieces.add(piece);
     }
 
-    _performAction(getter, action, args, argsCount) {
-        const piece = getter(),
-            validate = args[argsCount - 1] ?? true;
+    _removeIndexes(piece) {
+        if (this._ids.get(piece.id) === piece) this._ids.delete(piece.id);
 
-        if (validate && piece === null) {
-            throw new ChessError("No piece at starting position");
-        }
+        const boardKey = Board._getCoordsKey(...Board.getBoardCorner(piece.x, piece.y), false),
+            pieces = this._boards.get(boardKey);
 
-        return action.apply(this, [piece].concat(args));
-    }
-}
+        if (typeof pieces === "undefined") return;
 
-class WsClient {
-    static maxConnections = Infinity;
+        pieces.delete(piece);
+        if (pieces.size < 1) this._boards.delete(boardKey);
+    }
 
-    static UserAgent = "";
-    static Cookies = {};
+    _removePiece(piece) {
+        const key = Board._getCoordsKey(piece.x, piece.y);
+        if (super.get(key) === piece) super.delete(key);
 
-    static delay(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
+        this._removeIndexes(piece);
     }
 
-    constructor(url, options = {}) {
-        if (typeof url !== "string" || url.length < 1) {
-            throw new ClientError("Invalid websocket URL provided");
+    _validatePieceMove(piece, toX, toY, type) {
+        if (!this.pieceInBounds(piece)) {
+            throw new ChessError(
+                "Can't move piece that's outside of board bounds",
+                { x: piece.x, y: piece.y },
+                ErrorCodes.OUT_OF_BOUNDS
+            );
         }
 
-        this.url = url;
-        this.options = options;
+        if (!this.pieceInBounds(toX, toY)) {
+            throw new ChessError("Can't move piece to outside of board bounds", { toX, toY }, ErrorCodes.OUT_OF_BOUNDS);
+        }
 
-        this.k = options.k ?? null;
+        if (!piece.canMoveTo(toX, toY, type)) {
+            throw new ChessError(`Can't move piece to: ${toX}, ${toY}`, { toX, toY }, ErrorCodes.ILLEGAL_MOVE);
+        }
 
-        this.defaultJitter = options.defaultJitter ?? 1000;
-        this.maxRPS = options.maxRPS ?? Infinity;
+        toX = Math.floor(toX);
+        toY = Math.floor(toY);
 
-        this.reconnectDelay = options.reconnectDelay ?? 1000;
+        const target = this.get(toX, toY, false);
 
-        this.retryDelay = options.retryDelay ?? 1000;
-        this.maxRetryCount = options.maxRetryCount ?? 5;
-        this.enableRetry = this.retryDelay > 0 && this.maxRetryCount > 0;
+        if (target !== null && target._color === piece._color) {
+            throw new ChessError(
+                `Can't capture own piece on: ${toX}, ${toY}`,
+                { toX, toY, targetId: target.id },
+                ErrorCodes.ILLEGAL_MOVE
+            );
+        }
 
-        this._ws = null;
-        this._connectionReady = Promise.resolve();
+        switch (piece._type) {
+            case PieceTypes.PIECE_TYPE_PAWN:
+                this._validatePawnMove(piece, toX, toY, type, target);
+                break;
 
-        this._tokens = this.maxRPS;
-        this._lastRefillTime = Date.now();
+            case PieceTypes.PIECE_TYPE_KING:
+                if (type === MoveTypes.MOVE_TYPE_CASTLE) this._validateCastle(piece, toX, toY, target);
+                break;
 
-        this._resetState();
+            case PieceTypes.PIECE_TYPE_BISHOP:
+            case PieceTypes.PIECE_TYPE_ROOK:
+            case PieceTypes.PIECE_TYPE_QUEEN:
+            case PieceTypes.PIECE_TYPE_PROMOTED_PAWN:
+                this._validatePath(piece.x, piece.y, toX, toY);
+                break;
+        }
     }
 
-    log(level, ...data) {
-        let func, args;
-
-        if (WsClient._validConsoleLevels.includes(level)) {
-            func = console[level];
-            args = data;
-        } else {
-            func = console.log;
-            args = [level].concat(data);
-        }
+    _validatePath(fromX, fromY, toX, toY) {
+        const stepX = Math.sign(toX - fromX),
+            stepY = Math.sign(toY - fromY);
 
-        if (this.k !== null) args.unshift(`(${this.k}):`);
-        func.apply(console, args);
-    }
+        let x = fromX + stepX,
+            y = fromY + stepY;
 
-    async init() {
-        this._resetState();
-        await this._connect();
+        for (; x !== toX || y !== toY; x += stepX, y += stepY) {
+            if (this.has(x, y, false)) {
+                throw new ChessError(`Path blocked at: ${x}, ${y}`, { x, y }, ErrorCodes.ILLEGAL_MOVE);
+            }
+        }
     }
 
-    async sendRequest(data) {
-        if (!this.enableRetry) return await this._attemptSend(data);
-        return await this._sendWithRetry(data);
-    }
+    _validatePawnMove(piece, toX, toY, type, target) {
+        if (type === MoveTypes.MOVE_TYPE_EN_PASSANT) {
+            this._validateEnPassant(piece, toX, toY, target);
+        } else if (toX === piece.x) {
+            if (target !== null) {
+                throw new ChessError(`Pawn push blocked at: ${toX}, ${toY}`, { toX, toY }, ErrorCodes.ILLEGAL_MOVE);
+            }
 
-    disconnect() {
-        this.autoReconnect = false;
-        this._onWebsocketClose();
+            this._validatePath(piece.x, piece.y, toX, toY);
+        } else if (target === null) {
+            throw new ChessError(
+                `Pawn can only move diagonally to capture: ${toX}, ${toY}`,
+                { toX, toY },
+                ErrorCodes.ILLEGAL_MOVE
+            );
+        }
     }
 
-    destroy() {
-        this.destroyed = true;
-        this._onWebsocketClose();
-    }
+    _validateEnPassant(piece, toX, toY, target) {
+        if (toX === piece.x) {
+            throw new ChessError("En passant must be a diagonal move", { toX, toY }, ErrorCodes.ILLEGAL_MOVE);
+        }
 
-    static _validConsoleLevels = ["debug", "info", "log", "warn", "error"];
+        if (target !== null) {
+            throw new ChessError(
+                `En passant target square is occupied: ${toX}, ${toY}`,
+                { toX, toY },
+                ErrorCodes.ILLEGAL_MOVE
+            );
+        }
 
-    static _createDeferred() {
-        const deferred = { isResolved: false },
-            setResolved = () => (deferred.isResolved = true);
+        const victim = this._getEnPassantVictim(piece, toX);
 
-        deferred.promise = new Promise((resolve, reject) => {
-            deferred.resolve = resolve;
-            deferred.reject = reject;
-        }).then(setResolved, setResolved);
+        if (victim === null) {
+            throw new ChessError(
+                `No enemy pawn to capture en passant on: ${toX}, ${piece.y}`,
+                { x: toX, y: piece.y },
+                ErrorCodes.ILLEGAL_MOVE
+            );
+        }
 
-        return deferred;
+        if (!victim.justDoubleMoved) {
+            throw new ChessError("Pawn didn't just double move: " + victim.id, victim.id, ErrorCodes.ILLEGAL_MOVE);
+        }
     }
 
-    static _getRetryTime(base, jitter, error) {
-        const time = base + (Math.random() * jitter - jitter / 2);
-        return error ? time * (1 + Math.random() * 0.4) : time;
+    _getEnPassantVictim(pawn, toX) {
+        const victim = this.get(Math.floor(toX), pawn.y, false);
+
+        if (victim === null || victim._type !== PieceTypes.PIECE_TYPE_PAWN || victim._color === pawn._color) {
+            return null;
+        }
+
+        return victim;
     }
 
-    static _connections = 0;
+    _captureEnPassant(pawn, toX) {
+        const victim = this._getEnPassantVictim(pawn, toX);
+        if (victim !== null) this.delete(victim);
 
-    static _increment() {
-        if (this.maxConnections === Infinity) return;
+        return victim;
+    }
 
-        if (this._connections >= this.maxConnections) {
-            throw new ClientError(`Maximum connections (${this.maxConnections}) exceeded for ${this.name}`);
+    _validateCastle(king, toX, toY, target) {
+        if (king.moveCount > 0) {
+            throw new ChessError("King has already moved: " + king.id, king.id, ErrorCodes.ILLEGAL_MOVE);
         }
 
-        this._connections++;
-    }
+        if (target !== null) {
+            throw new ChessError(
+                `Castling target square is occupied: ${toX}, ${toY}`,
+                { toX, toY },
+                ErrorCodes.ILLEGAL_MOVE
+            );
+        }
 
-    static _decrement() {
-        if (this.maxConnections === Infinity) return;
+        const rook = this.getCastlingRook(king, toX);
 
-        if (this._connections <= 0) {
-            throw new ClientError("Connection count cannot be lower than 0");
+        if (rook === null) {
+            throw new ChessError("No rook to castle with", { toX, toY }, ErrorCodes.ILLEGAL_MOVE);
         }
 
-        this._connections--;
+        if (rook.moveCount > 0) {
+            throw new ChessError("Rook has already moved: " + rook.id, rook.id, ErrorCodes.ILLEGAL_MOVE);
+        }
     }
 
-    _setReconnecting() {
-        this._reconnecting = true;
-    }
+    _moveCastlingRook(king, toX, validate) {
+        const rook = this.getCastlingRook(king, toX);
+        if (rook === null) return;
 
-    _resetReconnecting(success) {
-        this._reconnecting = false;
-        if (success) this._reconnectAttempts = 0;
+        const rookX = king.x + Math.sign(Math.floor(toX) - king.x);
+
+        this.delete(rook);
+        rook.move(rookX, rook.y, validate);
+
+        this.set(rookX, rook.y, rook, validate);
     }
 
-    _resetState() {
-        this.connected = false;
-        this.destroyed = false;
+    _performAction(getter, action, args, argsCount) {
+        const piece = getter(),
+            validate = args[argsCount - 1] ?? true;
+
+        if (validate && piece === null) {
+            throw new ChessError("No piece at starting position", null, ErrorCodes.NO_PIECE);
+        }
+
+        return action.apply(this, [piece].concat(args));
+    }
+}
+
+class WsClient extends EventEmitter {
+    static maxConnections = Infinity;
+    static connectionScope = ConnectionScopes.global;
+
+    static UserAgent = "";
+    static Cookies = {};
+
+    static logger = Logger.silent;
+
+    static delay(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    static validateProxy(proxy) {
+        if (proxy === null) return null;
+
+        let url;
+
+        try {
+            url = new URL(proxy);
+        } catch (err) {
+            throw new ClientError("Invalid proxy URL provided", null, ErrorCodes.INVALID_ARGUMENT);
+        }
+
+        if (!this._proxyProtocols.includes(url.protocol)) {
+            throw new ClientError("Unsupported proxy protocol: " + url.protocol, null, ErrorCodes.INVALID_ARGUMENT);
+        }
+
+        return url.href;
+    }
+
+    static getEgress(proxy) {
+        if (proxy == null) return WsClient._directEgress;
+
+        const { protocol, username, host } = new URL(proxy);
+        return `${protocol}//${username.length > 0 ? username + "@" : ""}${host}`;
+    }
+
+    static getConnectionCount(egress = null) {
+        const key = this._getConnectionKey(egress);
+        return this._getConnectionCounts().get(key) ?? 0;
+    }
+
+    constructor(url, options = {}) {
+        if (typeof url !== "string" || url.length < 1) {
+            throw new ClientError("Invalid websocket URL provided", null, ErrorCodes.INVALID_ARGUMENT);
+        }
+
+        const maxRPS = options.maxRPS ?? Infinity;
+
+        if (typeof maxRPS !== "number" || !(maxRPS > 0)) {
+            throw new ClientError(
+                "Max requests per second must be a positive number",
+                maxRPS,
+                ErrorCodes.INVALID_ARGUMENT
+            );
+        }
+
+        super();
+
+        this.url = url;
+        this.options = options;
+
+        this.proxy = WsClient.validateProxy(options.proxy ?? null);
+        this.egress = WsClient.getEgress(this.proxy);
+
+        this.k = options.k ?? null;
+        this.logger = (options.logger ?? this.constructor.logger).child(() => this._getLogContext());
+
+        this.metrics = new Metrics();
+        this.metrics.counter("reconnects", "Reconnect attempts scheduled after a disconnect");
+
+        this.defaultJitter = options.defaultJitter ?? 1000;
+        this.maxRPS = maxRPS;
+
+        this.reconnectDelay = options.reconnectDelay ?? 1000;
+        this.maxReconnectDelay = options.maxReconnectDelay ?? 60000;
+
+        this.retryDelay = options.retryDelay ?? 1000;
+        this.maxRetryCount = options.maxRetryCount ?? 5;
+        this.enableRetry = this.retryDelay > 0 && this.maxRetryCount > 0;
+
+        this.retryPolicies = {
+            send: new RetryPolicy({
+                maxRetries: this.enableRetry ? this.maxRetryCount : 0,
+                delay: this.retryDelay,
+                jitter: this.defaultJitter
+            }),
+            ...WsClient._createRetryPolicies(options.retryPolicies)
+        };
+
+        this.rateLimiter = options.rateLimiter ?? null;
+
+        this.transport = options.transport ?? WebSocketTransport;
+        this.transportOptions = options.transportOptions ?? {};
+
+        this._transport = null;
+        this._transportShared = {};
+
+        this._state = ConnectionStates.idle;
+        this._stateWaiters = new Set();
+
+        this._tokens = this.maxRPS;
+        this._lastRefillTime = Date.now();
+
+        this._resetState();
+    }
+
+    get state() {
+        return this._state;
+    }
+
+    get connected() {
+        return this._state === ConnectionStates.open;
+    }
+
+    get destroyed() {
+        return this._state === ConnectionStates.destroyed;
+    }
+
+    log(level, ...data) {
+        if (!Logger.isLevel(level)) {
+            data.unshift(level);
+            level = LogLevels.info;
+        }
+
+        const err = data.find(item => item instanceof Error),
+            message = util.format(...data.filter(item => item !== err));
+
+        this.logger.log(level, message, err ? { err } : {});
+    }
 
+    async init() {
+        this._resetState();
+        await this._connect();
+    }
+
+    async sendRequest(data, kind) {
+        if (!this.enableRetry) return await this._attemptSend(data, kind);
+        return await this._sendWithRetry(data, kind);
+    }
+
+    disconnect() {
+        this.autoReconnect = false;
+        this._close(ConnectionStates.closed);
+    }
+
+    destroy() {
+        this.autoReconnect = false;
+        this._close(ConnectionStates.destroyed);
+    }
+
+    static _stateTransitions = {
+        [ConnectionStates.idle]: [ConnectionStates.connecting, ConnectionStates.closed, ConnectionStates.destroyed],
+        [ConnectionStates.connecting]: [
+            ConnectionStates.open,
+            ConnectionStates.closing,
+            ConnectionStates.closed,
+            ConnectionStates.backoff
+        ],
+        [ConnectionStates.open]: [ConnectionStates.closing, ConnectionStates.closed, ConnectionStates.backoff],
+        [ConnectionStates.closing]: [ConnectionStates.closed, ConnectionStates.destroyed],
+        [ConnectionStates.closed]: [ConnectionStates.connecting, ConnectionStates.destroyed],
+        [ConnectionStates.backoff]: [ConnectionStates.connecting, ConnectionStates.closed, ConnectionStates.destroyed],
+        [ConnectionStates.destroyed]: []
+    };
+
+    static _activeStates = [ConnectionStates.connecting, ConnectionStates.open, ConnectionStates.closing];
+
+    static _createDeferred() {
+        const deferred = { isResolved: false },
+            setResolved = () => (deferred.isResolved = true);
+
+        deferred.promise = new Promise((resolve, reject) => {
+            deferred.resolve = resolve;
+            deferred.reject = reject;
+        }).then(setResolved, setResolved);
+
+        return deferred;
+    }
+
+    static _createRetryPolicies(policies = {}) {
+        const created = {};
+
+        for (const [name, policy] of Object.entries(policies)) {
+            created[name] = policy instanceof RetryPolicy ? policy : new RetryPolicy(policy);
+        }
+
+        return created;
+    }
+
+    static _getBackoffTime(base, attempt, max) {
+        return Math.min(base * 2 ** (attempt - 1), max);
+    }
+
+    static _getRetryTime(base, jitter, error) {
+        const time = base + (Math.random() * jitter - jitter / 2);
+        return error ? time * (1 + Math.random() * 0.4) : time;
+    }
+
+    static _directEgress = "direct";
+    static _proxyProtocols = ["http:", "https:", "socks:", "socks4:", "socks4a:", "socks5:", "socks5h:"];
+
+    static _getConnectionCounts() {
+        if (!Object.hasOwn(this, "_connections")) this._connections = new Map();
+        return this._connections;
+    }
+
+    static _getConnectionKey(egress) {
+        return this.connectionScope === ConnectionScopes.egress ? (egress ?? WsClient._directEgress) : "global";
+    }
+
+    static _increment(egress = null) {
+        if (this.maxConnections === Infinity) return;
+
+        const counts = this._getConnectionCounts(),
+            key = this._getConnectionKey(egress),
+            count = counts.get(key) ?? 0;
+
+        if (count >= this.maxConnections) {
+            const via = this.connectionScope === ConnectionScopes.egress ? ` via ${key}` : "";
+
+            throw new ClientError(
+                `Maximum connections (${this.maxConnections}) exceeded for ${this.name}${via}`,
+                key,
+                ErrorCodes.MAX_CONNECTIONS
+            );
+        }
+
+        counts.set(key, count + 1);
+    }
+
+    static _decrement(egress = null) {
+        if (this.maxConnections === Infinity) return;
+
+        const counts = this._getConnectionCounts(),
+            key = this._getConnectionKey(egress),
+            count = counts.get(key) ?? 0;
+
+        if (count <= 0) {
+            throw new ClientError("Connection count cannot be lower than 0", key, ErrorCodes.INVALID_STATE);
+        }
+
+        if (count > 1) counts.set(key, count - 1);
+        else counts.delete(key);
+    }
+
+    _setState(state) {
+        const from = this._state;
+        if (from === state) return;
+
+        if (!WsClient._stateTransitions[from].includes(state)) {
+            throw new ClientError(
+                `Invalid state transition: ${from} -> ${state}`,
+                { from, to: state },
+                ErrorCodes.INVALID_STATE
+            );
+        }
+
+        this._state = state;
+        this.emit("stateChange", { from, to: state });
+
+        for (const waiter of this._stateWaiters) waiter();
+    }
+
+    _waitForOpen(connecting = false) {
+        return new Promise((resolve, reject) => {
+            const waiter = () => {
+                const err = this._getWaitError(connecting);
+
+                if (this.connected) resolve();
+                else if (err !== null) reject(err);
+                else return;
+
+                this._stateWaiters.delete(waiter);
+            };
+
+            this._stateWaiters.add(waiter);
+            waiter();
+        });
+    }
+
+    _getWaitError(connecting) {
+        switch (this._state) {
+            case ConnectionStates.open:
+            case ConnectionStates.connecting:
+                return null;
+            case ConnectionStates.backoff:
+                if (!connecting) return null;
+                return new ClientError("Connection failed", this._closeCode, ErrorCodes.CONNECTION_FAILED);
+            case ConnectionStates.destroyed:
+                return new ClientError("Client destroyed", null, ErrorCodes.DESTROYED);
+            default:
+                if (!connecting) return new ClientError("Connection not open", null, ErrorCodes.NOT_CONNECTED);
+                return new ClientError("Connection failed", this._closeCode, ErrorCodes.CONNECTION_FAILED);
+        }
+    }
+
+    _resetState() {
         this.autoReconnect = this.reconnectDelay > 0;
-        this._resetReconnecting(true);
+        this._reconnectAttempts = 0;
+        this._closeCode = null;
     }
 
     _getWebsocketHeaders() {
@@ -838,100 +1473,87 @@ class WsClient {
         return headers;
     }
 
-    _initWebsocket() {
-        const ws = new WebSocket(this.url, {
-            headers: this._getWebsocketHeaders()
+    _initTransport() {
+        this._transport = new this.transport(this.url, {
+            ...this.transportOptions,
+            proxy: this.proxy,
+            headers: this._getWebsocketHeaders(),
+            shared: this._transportShared
         });
-
-        ws.binaryType = "arraybuffer";
-        this._ws = ws;
     }
 
     _connect() {
-        const promise = new Promise((resolve, reject) => {
-            if (this.destroyed) {
-                return reject(new ClientError("Client destroyed"));
-            } else if (this.connected) {
-                return resolve(this._connectionReady);
-            }
-
-            try {
-                this.constructor._increment();
-            } catch (err) {
-                return reject(err);
-            }
-
-            this._setReconnecting();
-            this._initWebsocket();
-
-            this._ws.on("open", () => {
-                this._resetReconnecting(true);
-                this._onWebsocketOpen();
-
-                resolve();
-            });
+        switch (this._state) {
+            case ConnectionStates.destroyed:
+                return Promise.reject(new ClientError("Client destroyed", null, ErrorCodes.DESTROYED));
+            case ConnectionStates.open:
+                return Promise.resolve();
+            case ConnectionStates.connecting:
+                return this._waitForOpen(true);
+        }
 
-            this._ws.on("message", data => this._onWebsocketMessage(data));
+        try {
+            this.constructor._increment(this.egress);
+        } catch (err) {
+            return Promise.reject(err);
+        }
 
-            this._ws.on("error", err => {
-                this._resetReconnecting(false);
-                this._onWebsocketError(err);
+        this._clearTimers();
+        this._setState(ConnectionStates.connecting);
 
-                reject(err);
-            });
+        this._onConnecting();
 
-            this._ws.on("close", code => {
-                this._resetReconnecting(false);
-                this._onWebsocketClose(code);
+        try {
+            this._initTransport();
+        } catch (err) {
+            this._close(ConnectionStates.closed, 1006);
+            return Promise.reject(err);
+        }
 
-                reject(new ClientError("Connection failed", code));
-            });
+        this._transport.on("open", () => {
+            this._reconnectAttempts = 0;
+            this._onWebsocketOpen();
         });
 
-        this._connectionReady = promise;
-        return promise;
+        this._transport.on("message", data => this._onWebsocketMessage(data));
+        this._transport.on("error", err => this._onWebsocketError(err));
+        this._transport.on("close", code => this._onWebsocketClose(code));
+
+        return this._waitForOpen(true);
     }
 
-    async _attemptSend(data) {
-        await this._connectionReady;
-        await this._acquireToken();
+    async _attemptSend(data, kind) {
+        await this._waitForOpen();
+        await this._acquireToken(kind);
 
         if (this.destroyed) {
-            throw new ClientError("Client destroyed");
+            throw new ClientError("Client destroyed", null, ErrorCodes.DESTROYED);
         }
 
         if (!this.connected) {
-            throw new ClientError("Connection not open");
+            throw new ClientError("Connection not open", null, ErrorCodes.NOT_CONNECTED);
         }
 
+        this._onWebsocketSend(data);
+
         return new Promise((resolve, reject) => {
-            this._ws.send(data, err => {
-                if (err) reject(err);
+            this._transport.send(data, err => {
+                if (err) reject(new ClientError("Sending data failed", err, ErrorCodes.SEND_FAILED));
                 else resolve();
             });
         });
     }
 
-    async _sendWithRetry(data) {
-        let retries = 0;
-
-        while (true) {
-            try {
-                return await this._attemptSend(data);
-            } catch (error) {
-                if (error.message.includes("destoyed")) return;
-
-                if (++retries > this.maxRetryCount) {
-                    throw error;
-                }
+    async _sendWithRetry(data, kind) {
+        return await this.retryPolicies.send.run(() => this._attemptSend(data, kind));
+    }
 
-                const retryDelay = WsClient._getRetryTime(this.retryDelay, this.defaultJitter, false);
-                await WsClient.delay(retryDelay);
-            }
-        }
+    async _acquireToken(kind) {
+        await this._acquireLocalToken();
+        if (this.rateLimiter !== null) await this.rateLimiter.acquire(kind);
     }
 
-    async _acquireToken() {
+    async _acquireLocalToken() {
         if (this.maxRPS === Infinity) return;
 
         while (true) {
@@ -956,54 +1578,76 @@ class WsClient {
     }
 
     _scheduleReconnect(wasError) {
-        if (this._reconnecting || this.destroyed) return;
-        if (++this._reconnectAttempts > this.maxRetryCount) return;
-
-        const baseDelay = (this._reconnectAttempts * this.reconnectDelay) / 2,
+        const attempt = ++this._reconnectAttempts,
+            baseDelay = WsClient._getBackoffTime(this.reconnectDelay, attempt, this.maxReconnectDelay),
             reconnectDelay = WsClient._getRetryTime(baseDelay, 5 * this.defaultJitter, wasError);
 
+        this.metrics.inc("reconnects");
+
+        this.emit("reconnecting", {
+            attempt,
+            delay: reconnectDelay
+        });
+
         this._reconnectTimeout = setTimeout(() => {
             this._connect().catch(err => {
-                this.log("error", "ERROR: Reconnecting failed:");
-                this.log("error", err);
+                this.logger.error("Reconnecting failed", { err });
             });
         }, reconnectDelay);
     }
 
-    _handleDisconnect(code) {
-        this.connected = false;
-        this.constructor._decrement();
+    _close(state, code = 1000) {
+        if (WsClient._activeStates.includes(this._state)) {
+            this._setState(ConnectionStates.closing);
+            this._handleDisconnect(code, state);
+        } else if (this._state !== state) {
+            this._clearTimers();
+            this._setState(state);
+        }
+    }
+
+    _handleDisconnect(code, state = null) {
+        if (!WsClient._activeStates.includes(this._state)) return;
+
+        this.constructor._decrement(this.egress);
+        this._closeCode = code;
 
-        this._connectionReady = Promise.resolve();
-        this.log("Websocket closed with code:", code);
+        this.logger.info("Websocket closed", { code });
 
+        this._onDisconnect(code);
         this._rejectPendingRequests();
         this._clearTimers();
 
         this._cleanupSocket();
 
-        if (this.autoReconnect) {
+        const reconnect = state === null && this.autoReconnect && this._reconnectAttempts < this.maxRetryCount;
+        this._setState(state ?? (reconnect ? ConnectionStates.backoff : ConnectionStates.closed));
+
+        this.emit("disconnected", { code });
+
+        if (reconnect) {
             const wasError = code !== 1000;
             this._scheduleReconnect(wasError);
         }
     }
 
     _cleanupSocket() {
-        if (this._ws === null) return;
+        if (this._transport === null) return;
 
-        this._ws.removeAllListeners();
-        this._ws.close();
-        this._ws = null;
+        this._transport.removeAllListeners();
+        this._transport.close();
+        this._transport = null;
     }
 
     _onWebsocketOpen() {
-        this.connected = true;
-        this.log("Websocket opened.");
+        this._setState(ConnectionStates.open);
+        this.logger.info("Websocket opened");
+
+        this.emit("connected");
     }
 
     _onWebsocketError(err) {
-        this.log("error", "ERROR: Websocket error:");
-        this.log("error", err);
+        this.logger.error("Websocket error", { err });
 
         this._handleDisconnect(1006);
     }
@@ -1012,8 +1656,22 @@ class WsClient {
         this._handleDisconnect(code);
     }
 
+    _getLogContext() {
+        return {
+            k: this.k,
+            state: this._state,
+            proxy: this.proxy !== null ? this.egress : null
+        };
+    }
+
+    _onConnecting() {}
+
     _onWebsocketMessage(data) {}
 
+    _onWebsocketSend(data) {}
+
+    _onDisconnect(code) {}
+
     _rejectPendingRequests() {}
 
     _clearTimers() {
@@ -1024,69 +1682,362 @@ class WsClient {
 
 class ChessClient extends WsClient {
     static maxConnections = 20;
+    static connectionScope = ConnectionScopes.egress;
     static minViewDist = 12;
 
-    static getHttpsUrl() {
-        return `https://${this._chessDomain}`;
+    static host = "onemillionchessboards.com";
+    static scheme = "wss";
+    static path = "/ws";
+
+    static getHttpsUrl(endpoint = {}) {
+        const { scheme, host } = this._getEndpoint(endpoint),
+            httpScheme = scheme === "ws" ? "http" : "https";
+
+        return `${httpScheme}://${host}`;
+    }
+
+    static getServerUrl(x0, y0, colorPref, endpoint = {}) {
+        const { scheme, host, path } = this._getEndpoint(endpoint);
+        return `${scheme}://${host}${path}?x=${x0}&y=${y0}&colorPref=${colorPref}`;
+    }
+
+    static getStats(metrics) {
+        const stats = metrics.snapshot();
+
+        stats.compressionRatio = stats.compressedBytes > 0 ? stats.decompressedBytes / stats.compressedBytes : null;
+        stats.invalidRate = stats.movesSent > 0 ? stats.movesInvalid / stats.movesSent : null;
+
+        return stats;
+    }
+
+    constructor(x0, y0, color, options) {
+        if (Array.isArray(x0)) {
+            const coords = x0;
+
+            options = color;
+            color = y0;
+            [x0, y0] = coords;
+        }
+
+        Piece._validateColorStr(color);
+        Board._validateCenterCoords(x0, y0);
+
+        super(ChessClient.getServerUrl(x0, y0, color, options ?? {}), {
+            defaultJitter: 4000,
+            maxRPS: 2,
+            reconnectDelay: 15000,
+            maxReconnectDelay: 240000,
+            ...(options ?? {})
+        });
+
+        this.endpoint = ChessClient._getEndpoint(this.options);
+
+        this.x0 = x0;
+        this.y0 = y0;
+        this.colorPref = color;
+
+        this.playingColor = null;
+        this.startPosition = null;
+        this.requireColor = this.options.requireColor ?? false;
+
+        this.board = new Board();
+        this.adoptedIds = new Set();
+
+        this.totalMoves = 0;
+        this.totalCaptures = 0;
+
+        ChessClient._registerMetrics(this.metrics);
+
+        this.autoResync = this.options.autoResync ?? true;
+        this.resumeView = this.options.resumeView ?? true;
+        this.optimistic = this.options.optimistic ?? false;
+        this.pipelineDepth = this.options.pipelineDepth ?? 4;
+
+        this.moveTimeout = this.options.moveTimeout ?? ChessClient._moveTimeout;
+        this.viewTimeout = this.options.viewTimeout ?? ChessClient._viewTimeout;
+
+        this.retryPolicies = {
+            move: new RetryPolicy(),
+            view: new RetryPolicy(),
+            ...this.retryPolicies
+        };
+
+        const record = this.options.record ?? null;
+        this.recorder = typeof record === "string" ? new SessionRecorder(record, { logger: this.logger }) : record;
+
+        this._moveToken = 0;
+        this._pendingPieceMoves = new Map();
+        this._appliedMoves = [];
+
+        this._abortedMoves = new Map();
+        this._moveLanes = new Map();
+        this._movesInFlight = 0;
+        this._slotWaiters = [];
+        this._pendingViewMove = null;
+        this._lastResyncTime = 0;
+        this._resumeCenter = [x0, y0];
+
+        this._boardReady = WsClient._createDeferred();
+    }
+
+    async init() {
+        await super.init();
+        await this._waitForBoard();
+
+        if (this.requireColor && this.playingColor !== this.colorPref) {
+            this.disconnect();
+
+            throw new ClientError(
+                `Server assigned ${this.playingColor} instead of ${this.colorPref}`,
+                this.playingColor,
+                ErrorCodes.COLOR_MISMATCH
+            );
+        }
+    }
+
+    async sendRequest(msg) {
+        const encoded = ClientMessage.encode(msg).finish(),
+            [kind] = Object.keys(msg);
+
+        return await super.sendRequest(encoded, kind);
+    }
+
+    async movePiece(piece, toX, toY, type = MoveTypes.MOVE_TYPE_NORMAL, options = {}) {
+        return await this.retryPolicies.move.run(() => this._movePiece(piece, toX, toY, type, options));
+    }
+
+    async castle(king, side, options) {
+        if (king == null) {
+            throw new ChessError("No king provided", null, ErrorCodes.NO_PIECE);
+        }
+
+        if (king._type !== PieceTypes.PIECE_TYPE_KING) {
+            throw new ChessError("Only kings can castle: " + king.id, king.id, ErrorCodes.ILLEGAL_MOVE);
+        }
+
+        let dir;
+
+        switch (side) {
+            case CastleSides.kingside:
+                dir = 1;
+                break;
+            case CastleSides.queenside:
+                dir = -1;
+                break;
+            default:
+                throw new ChessError("Invalid castling side: " + side, side, ErrorCodes.INVALID_ARGUMENT);
+        }
+
+        return await this.movePiece(king, king.x + 2 * dir, king.y, MoveTypes.MOVE_TYPE_CASTLE, options);
+    }
+
+    async enPassant(pawn, target, options) {
+        if (pawn == null || target == null) {
+            throw new ChessError("No pawn provided", null, ErrorCodes.NO_PIECE);
+        }
+
+        if (target.y !== pawn.y || Math.abs(target.x - pawn.x) !== 1) {
+            throw new ChessError(
+                "En passant target isn't next to the pawn: " + target.id,
+                target.id,
+                ErrorCodes.ILLEGAL_MOVE
+            );
+        }
+
+        const toY = pawn.y + pawn._getDirection();
+        return await this.movePiece(pawn, target.x, toY, MoveTypes.MOVE_TYPE_EN_PASSANT, options);
+    }
+
+    async moveView(centerX, centerY, options = {}) {
+        return await this.retryPolicies.view.run(() => this._moveView(centerX, centerY, options));
+    }
+
+    async resync() {
+        if (this._pendingViewMove !== null) return;
+        this._lastResyncTime = Date.now();
+
+        return await this._subscribe(this.board.centerX, this.board.centerY);
+    }
+
+    stats() {
+        return ChessClient.getStats(this.metrics);
+    }
+
+    destroy() {
+        if (this.destroyed) return;
+        super.destroy();
+
+        this._rejectPendingRequests();
+
+        this.board.clear();
+        this.adoptedIds.clear();
+
+        if (typeof this.options.record === "string") this.recorder.close();
+
+        this.logger.info("Client destroyed");
+    }
+
+    static _pingInterval = 1200;
+    static _pongTimeout = 20000;
+    static _moveTimeout = 20000;
+    static _viewTimeout = 80000;
+    static _resyncInterval = 5000;
+
+    static _zstdMagicBytes = [0x28, 0xb5, 0x2f, 0xfd];
+
+    static _isZstdCompressed(data) {
+        if (data.length < 4) {
+            return false;
+        }
+
+        return this._zstdMagicBytes.every((byte, i) => data[i] === byte);
+    }
+
+    static _latencyBuckets = [10, 25, 50, 100, 250, 500, 1000, 2500, 5000, 10000, 20000, 80000];
+    static _ratioBuckets = [1, 2, 4, 8, 16, 32, 64, 128];
+
+    static _registerMetrics(metrics) {
+        metrics.counter("movesSent", "Piece moves written to the socket");
+        metrics.counter("movesConfirmed", "Piece moves confirmed by the server");
+        metrics.counter("movesInvalid", "Piece moves rejected by the server");
+        metrics.counter("moveTimeouts", "Piece moves that got no reply in time");
+        metrics.counter("captures", "Confirmed moves that captured a piece");
+
+        metrics.counter("viewMovesSent", "View moves written to the socket");
+        metrics.counter("viewTimeouts", "View moves that got no snapshot in time");
+
+        metrics.counter("bytesReceived", "Websocket bytes received");
+        metrics.counter("bytesDecoded", "Bytes passed to the protobuf decoder");
+        metrics.counter("compressedBytes", "Zstd compressed bytes received");
+        metrics.counter("decompressedBytes", "Bytes produced by zstd decompression");
+
+        metrics.histogram("moveLatency", "Move confirmation latency in ms", this._latencyBuckets);
+        metrics.histogram("viewLatency", "View move latency in ms", this._latencyBuckets);
+        metrics.histogram("pingRtt", "Ping to pong round trip time in ms", this._latencyBuckets);
+        metrics.histogram("zstdRatio", "Zstd decompression ratio per message", this._ratioBuckets);
+    }
+
+    static _validSchemes = ["ws", "wss"];
+
+    static _getEndpoint(endpoint) {
+        const scheme = endpoint.scheme ?? this.scheme,
+            host = endpoint.host ?? this.host;
+
+        let path = endpoint.path ?? this.path;
+
+        if (!this._validSchemes.includes(scheme)) {
+            throw new ClientError("Invalid websocket scheme: " + scheme, scheme, ErrorCodes.INVALID_ARGUMENT);
+        }
+
+        if (typeof host !== "string" || host.length < 1) {
+            throw new ClientError("Invalid server host provided", host, ErrorCodes.INVALID_ARGUMENT);
+        }
+
+        if (!path.startsWith("/")) path = "/" + path;
+        return { scheme, host, path };
     }
 
-    static getServerUrl(x0, y0, colorPref) {
-        return `wss://${this._chessDomain}/ws?x=${x0}&y=${y0}&colorPref=${colorPref}`;
-    }
+    static _maxMoveToken = 2 ** 16 - 1;
 
-    constructor(x0, y0, color, options) {
-        if (Array.isArray(x0)) {
-            const coords = x0;
+    static _getAbortError(signal) {
+        return new ChessError("Operation aborted", signal.reason, ErrorCodes.ABORTED);
+    }
 
-            options = color;
-            color = y0;
-            [x0, y0] = coords;
-        }
+    static _throwIfAborted(signal) {
+        if (signal?.aborted) throw ChessClient._getAbortError(signal);
+    }
 
-        Piece._validateColorStr(color);
-        Board._validateCenterCoords(x0, y0);
+    static _waitAbortable(promise, signal) {
+        if (signal == null) return promise;
 
-        super(ChessClient.getServerUrl(x0, y0, color), {
-            defaultJitter: 4000,
-            maxRPS: 2,
-            reconnectDelay: 15000,
-            ...(options ?? {})
+        return new Promise((resolve, reject) => {
+            const callbacks = ChessClient._createAbortableCallbacks(resolve, reject, signal);
+            promise.then(callbacks.resolve, callbacks.reject);
         });
+    }
 
-        this.x0 = x0;
-        this.y0 = y0;
-        this.colorPref = color;
+    static _createAbortableCallbacks(resolve, reject, signal, onAbort) {
+        const onSignal = () => {
+            onAbort?.();
+            reject(ChessClient._getAbortError(signal));
+        };
 
-        this.board = new Board();
-        this.totalMoves = 0;
-        this.totalCaptures = 0;
+        const cleanup = () => signal?.removeEventListener("abort", onSignal);
 
-        this._moveToken = 0;
-        this._pendingPieceMoves = new Map();
-        this._pendingViewMove = null;
+        if (signal?.aborted) onSignal();
+        else signal?.addEventListener("abort", onSignal, { once: true });
 
-        this._boardReady = WsClient._createDeferred();
+        return {
+            resolve: value => {
+                cleanup();
+                resolve(value);
+            },
+            reject: err => {
+                cleanup();
+                reject(err);
+            }
+        };
     }
 
-    async init() {
-        await super.init();
-        await this._boardReady.promise;
+    static _seqnumToNumber(seqnum) {
+        if (seqnum == null) return 0;
+        return typeof seqnum === "object" ? seqnum.toNumber() : Number(seqnum);
     }
 
-    async sendRequest(msg) {
-        const encoded = ClientMessage.encode(msg).finish();
-        return await super.sendRequest(encoded);
+    async _movePiece(piece, toX, toY, type, options) {
+        const { signal } = options;
+        ChessClient._throwIfAborted(signal);
+
+        // Optimistic moves free their board lanes once sent, so moves of other pieces on those boards are
+        // pipelined. The piece lane is held until the server answers: a piece never has two moves in flight.
+        const keys = piece != null ? this._getMoveLaneKeys(piece, toX, toY) : [],
+            pieceLanes = this._lockLanes(keys.filter(key => ChessClient._isPieceLane(key))),
+            boardLanes = this._lockLanes(keys.filter(key => !ChessClient._isPieceLane(key)));
+
+        const ready = Promise.all([pieceLanes.ready, boardLanes.ready]),
+            release = () => {
+                pieceLanes.release();
+                boardLanes.release();
+            };
+
+        try {
+            await ChessClient._waitAbortable(ready, signal);
+            await this._acquireMoveSlot(signal);
+        } catch (err) {
+            ready.then(release);
+            throw err;
+        }
+
+        try {
+            const onSent = this.optimistic ? boardLanes.release : null;
+            return await this._sendMove(piece, toX, toY, type, options, onSent);
+        } finally {
+            release();
+            this._releaseMoveSlot();
+        }
     }
 
-    async movePiece(piece, toX, toY, type = MoveTypes.MOVE_TYPE_NORMAL) {
+    async _sendMove(piece, toX, toY, type, options, onSent) {
         if (piece === null) {
-            throw new ChessError("No piece at starting position");
+            throw new ChessError("No piece at starting position", null, ErrorCodes.NO_PIECE);
+        }
+
+        if (this._isAdoptedAway(piece)) {
+            throw new ChessError("Piece has been adopted: " + piece.id, piece.id, ErrorCodes.PIECE_ADOPTED);
+        }
+
+        if (this.playingColor !== null && piece.color !== this.playingColor) {
+            throw new ChessError(
+                `Can't move ${piece.color} piece while playing ${this.playingColor}: ${piece.id}`,
+                piece.id,
+                ErrorCodes.WRONG_COLOR
+            );
         }
 
         this.board._validatePieceMove(piece, toX, toY, type);
 
         if (typeof MoveTypes[type] !== "string") {
-            throw new ChessError("Invalid move type: " + type, type);
+            throw new ChessError("Invalid move type: " + type, type, ErrorCodes.INVALID_ARGUMENT);
         }
 
         const moveCoords = {
@@ -1107,47 +2058,146 @@ class ChessClient extends WsClient {
                 }
             };
 
+        const { signal, timeout = this.moveTimeout } = options;
+        ChessClient._throwIfAborted(signal);
+
         return new Promise((resolve, reject) => {
             const pending = {
-                resolve,
-                reject,
+                ...ChessClient._createAbortableCallbacks(resolve, reject, signal, () => {
+                    clearTimeout(pending.timeout);
+                    this._pendingPieceMoves.delete(moveToken);
+
+                    this._addAbortedMove(moveToken, timeout);
+                    this._rollbackMove(pending);
+                }),
 
+                moveToken,
                 piece,
-                ...moveCoords
+                type,
+                ...moveCoords,
+
+                keys: this._getMoveLaneKeys(piece, toX, toY),
+                undo: null,
+                sentTime: Date.now()
             };
 
             this._pendingPieceMoves.set(moveToken, pending);
+            if (this.optimistic) this._applyOptimisticMove(pending);
 
             pending.timeout = setTimeout(() => {
                 this._pendingPieceMoves.delete(moveToken);
-                reject(new ChessError("Move timed out: " + moveToken, moveToken));
-            }, ChessClient._moveTimeout);
-
-            this.sendRequest(message).catch(error => {
-                clearTimeout(pending.timeout);
-                this._pendingPieceMoves.delete(moveToken);
-
-                reject(error);
-            });
+                this._reportResult("move", false, "timeout");
+                this.metrics.inc("moveTimeouts");
+
+                this._rollbackMove(pending);
+                pending.reject(new ChessError("Move timed out: " + moveToken, moveToken, ErrorCodes.MOVE_TIMEOUT));
+            }, timeout);
+
+            this.sendRequest(message)
+                .then(() => {
+                    pending.sentTime = Date.now();
+                    this.metrics.inc("movesSent");
+
+                    onSent?.();
+                })
+                .catch(error => {
+                    clearTimeout(pending.timeout);
+                    this._pendingPieceMoves.delete(moveToken);
+
+                    this._rollbackMove(pending);
+                    pending.reject(error);
+                });
         });
     }
 
-    async moveView(centerX, centerY) {
-        if (this._pendingViewMove !== null) {
-            throw new ChessError("Already waiting for view move");
-        }
-
+    async _moveView(centerX, centerY, options) {
+        ChessClient._throwIfAborted(options.signal);
         Board._validateCenterCoords(centerX, centerY, "view");
 
         centerX = Math.floor(centerX);
         centerY = Math.floor(centerY);
 
-        const dist = Board.distance(this.board.centerX, this.board.centerY, centerX, centerY, false);
+        const lanes = this._lockLanes(["view"]);
+
+        try {
+            await ChessClient._waitAbortable(lanes.ready, options.signal);
+        } catch (err) {
+            lanes.ready.then(lanes.release);
+            throw err;
+        }
+
+        try {
+            if (this._pendingViewMove !== null) {
+                throw new ChessError("Already waiting for view move", null, ErrorCodes.VIEW_PENDING);
+            }
+
+            const dist = Board.distance(this.board.centerX, this.board.centerY, centerX, centerY, false);
+
+            if (dist < ChessClient.minViewDist) {
+                throw new ChessError(`Move distance ${dist} too short`, dist, ErrorCodes.VIEW_TOO_CLOSE);
+            }
+
+            return await this._subscribe(centerX, centerY, options);
+        } finally {
+            lanes.release();
+        }
+    }
+
+    _getMoveLaneKeys(piece, toX, toY) {
+        const [fromX, fromY] = Board.getBoardCorner(piece.x, piece.y),
+            [cornerX, cornerY] = Board.getBoardCorner(Math.floor(toX), Math.floor(toY));
+
+        return [...new Set([`piece:${piece.id}`, `board:${fromX},${fromY}`, `board:${cornerX},${cornerY}`])];
+    }
+
+    static _isPieceLane(key) {
+        return key.startsWith("piece:");
+    }
+
+    _lockLanes(keys) {
+        const lock = ChessClient._createDeferred(),
+            previous = keys.map(key => this._moveLanes.get(key)).filter(tail => typeof tail !== "undefined");
+
+        for (const key of keys) this._moveLanes.set(key, lock.promise);
+
+        let released = false;
+
+        const release = () => {
+            if (released) return;
+
+            released = true;
+            lock.resolve();
+
+            for (const key of keys) {
+                if (this._moveLanes.get(key) === lock.promise) this._moveLanes.delete(key);
+            }
+        };
+
+        return { ready: Promise.all(previous), release };
+    }
+
+    async _acquireMoveSlot(signal) {
+        while (this._movesInFlight >= this.pipelineDepth) {
+            const waiter = ChessClient._createDeferred();
+            this._slotWaiters.push(waiter);
 
-        if (dist < ChessClient.minViewDist) {
-            throw new ChessError(`Move distance ${dist} too short`, dist);
+            try {
+                await ChessClient._waitAbortable(waiter.promise, signal);
+            } catch (err) {
+                this._slotWaiters.splice(this._slotWaiters.indexOf(waiter), 1);
+                throw err;
+            }
         }
 
+        this._movesInFlight++;
+    }
+
+    _releaseMoveSlot() {
+        this._movesInFlight--;
+        this._slotWaiters.shift()?.resolve();
+    }
+
+    _subscribe(centerX, centerY, options = {}) {
         const moveCoords = {
             centerX: centerX,
             centerY: centerY
@@ -1159,59 +2209,143 @@ class ChessClient extends WsClient {
             }
         };
 
+        const { signal, timeout = this.viewTimeout } = options;
+        ChessClient._throwIfAborted(signal);
+
         return new Promise((resolve, reject) => {
-            const pending = {
-                resolve,
-                reject
-            };
+            const pending = ChessClient._createAbortableCallbacks(resolve, reject, signal, () => {
+                clearTimeout(pending.timeout);
+                if (this._pendingViewMove === pending) this._pendingViewMove = null;
+            });
+
+            Object.assign(pending, moveCoords);
 
+            pending.sentTime = Date.now();
             this._pendingViewMove = pending;
 
             pending.timeout = setTimeout(() => {
                 this._pendingViewMove = null;
-                reject(new ChessError("View move timed out"));
-            }, 4 * ChessClient._moveTimeout);
-
-            this.sendRequest(message).catch(error => {
-                clearTimeout(pending.timeout);
-                this._pendingViewMove = null;
-
-                reject(error);
-            });
+                this._reportResult("subscribe", false, "timeout");
+                this.metrics.inc("viewTimeouts");
+
+                pending.reject(new ChessError("View move timed out", null, ErrorCodes.VIEW_TIMEOUT));
+            }, timeout);
+
+            this.sendRequest(message)
+                .then(() => {
+                    pending.sentTime = Date.now();
+                    this.metrics.inc("viewMovesSent");
+                })
+                .catch(error => {
+                    clearTimeout(pending.timeout);
+                    this._pendingViewMove = null;
+
+                    pending.reject(error);
+                });
         });
     }
 
-    destroy() {
-        super.destroy();
+    _applyOptimisticMove(pending) {
+        const { piece, toX, toY, type } = pending;
 
-        this._rejectPendingRequests();
-        this.board.clear();
+        pending.undo = this.board.movePieceWithUndo(piece, toX, toY, type, false, false);
+        piece.pendingMoves++;
 
-        this.log(`Client destroyed.`);
+        this._appliedMoves.push(pending);
     }
 
-    static _chessDomain = "onemillionchessboards.com";
+    _rollbackMove(pending) {
+        if (pending.undo === null) return;
 
-    static _pingInterval = 1200;
-    static _pongTimeout = 20000;
-    static _moveTimeout = 20000;
+        const keys = new Set(pending.keys),
+            dependent = [];
 
-    static _zstdMagicBytes = [0x28, 0xb5, 0x2f, 0xfd];
+        for (const later of this._appliedMoves.slice(this._appliedMoves.indexOf(pending) + 1)) {
+            if (!later.keys.some(key => keys.has(key))) continue;
 
-    static _isZstdCompressed(data) {
-        if (data.length < 4) {
-            return false;
+            for (const key of later.keys) keys.add(key);
+            dependent.push(later);
         }
 
-        return this._zstdMagicBytes.every((byte, i) => data[i] === byte);
+        // Later moves were applied on top of this one, so they are undone first and applied again once confirmed
+        for (const later of dependent.reverse()) this._undoMove(later);
+        this._undoMove(pending);
     }
 
-    static _maxMoveToken = 2 ** 16 - 1;
+    _undoMove(pending) {
+        const { piece, undo, moveToken } = pending;
+        pending.undo = null;
+
+        this._removeAppliedMove(pending);
+        piece.pendingMoves--;
+
+        const restored = this.board.undoMove(undo);
+        this.emit("moveRolledBack", { moveToken, piece, restored });
+    }
+
+    _removeAppliedMove(pending) {
+        const i = this._appliedMoves.indexOf(pending);
+        if (i !== -1) this._appliedMoves.splice(i, 1);
+    }
+
+    _addAbortedMove(moveToken, timeout) {
+        // The answer to an aborted move is expected within the move timeout, after that its token can be reused
+        const expiry = setTimeout(() => this._abortedMoves.delete(moveToken), timeout);
+        this._abortedMoves.set(moveToken, expiry);
+    }
+
+    _deleteAbortedMove(moveToken) {
+        if (!this._abortedMoves.has(moveToken)) return false;
+
+        clearTimeout(this._abortedMoves.get(moveToken));
+        return this._abortedMoves.delete(moveToken);
+    }
+
+    _findCapturedPiece(pending, id) {
+        const captured = this.board.getById(id);
+        if (captured !== null || pending.undo === null) return captured;
+
+        return pending.undo.captured.find(entry => entry.piece.id === id)?.piece ?? null;
+    }
+
+    _isAdoptedAway(piece) {
+        if (!piece.adopted && !this.adoptedIds.has(piece.id)) return false;
+        if (this.board.getById(piece.id) !== piece) return true;
+
+        return this.playingColor !== null && piece.color !== this.playingColor;
+    }
+
+    _capturePiece(id) {
+        this.adoptedIds.delete(id);
+        return this.board.captureWithId(id, false);
+    }
+
+    _reportResult(kind, success, reason) {
+        if (this.rateLimiter === null) return;
+
+        if (success) this.rateLimiter.reportSuccess(kind);
+        else this.rateLimiter.reportFailure(kind, reason);
+    }
+
+    _handleDesync(reason, ref) {
+        this.emit("desync", { reason, ref });
+        if (!this.autoResync) return;
+
+        const elapsed = Date.now() - this._lastResyncTime;
+        if (elapsed < ChessClient._resyncInterval) return;
+
+        this.logger.warn("Board desync detected, resubscribing", { reason });
+
+        this.resync().catch(err => {
+            this.logger.error("Resync failed", { err });
+        });
+    }
 
     _resetBoard(snapshot) {
         const { xCoord: centerX, yCoord: centerY, pieces } = snapshot;
 
         this.board.clear();
+        this.board.resetSeqnum(ChessClient._seqnumToNumber(snapshot.seqnum));
 
         this.board.centerX = centerX;
         this.board.centerY = centerY;
@@ -1221,6 +2355,7 @@ class ChessClient extends WsClient {
                 y = centerY + dy;
 
             this.board.set(x, y, piece, false);
+            this.adoptedIds.delete(piece.id);
         }
     }
 
@@ -1230,12 +2365,18 @@ class ChessClient extends WsClient {
 
         const pingDelay = ChessClient._getRetryTime(ChessClient._pingInterval, this.defaultJitter / 2, false);
 
-        this._pingInterval = setTimeout(() => {
+        this._pingInterval = setTimeout(async () => {
             const data = ClientMessage.encode({
                 ping: {}
             }).finish();
 
-            this._ws.send(data);
+            if (this.rateLimiter !== null) await this.rateLimiter.acquire("ping");
+            if (this._transport === null) return;
+
+            this._onWebsocketSend(data);
+            this._transport.send(data);
+
+            this._pingSentTime = Date.now();
 
             this._pongTimeout = setTimeout(() => {
                 this._handleDisconnect(1006);
@@ -1243,19 +2384,96 @@ class ChessClient extends WsClient {
         }, pingDelay);
     }
 
-    _connect() {
+    _onConnecting() {
+        const [centerX, centerY] = this._getResumeCenter();
+
+        this.url = ChessClient.getServerUrl(centerX, centerY, this.colorPref, this.endpoint);
+        this._resumeCenter = [centerX, centerY];
+
         this._boardReady = ChessClient._createDeferred();
-        return super._connect();
+    }
+
+    _getLogContext() {
+        return {
+            ...super._getLogContext(),
+            centerX: this.board.centerX,
+            centerY: this.board.centerY,
+            color: this.playingColor ?? this.colorPref
+        };
+    }
+
+    _getResumeCenter() {
+        const { centerX, centerY } = this.board;
+
+        if (!this.resumeView || centerX === null || centerY === null) {
+            return [this.x0, this.y0];
+        }
+
+        return [centerX, centerY];
+    }
+
+    _waitForBoard() {
+        return new Promise((resolve, reject) => {
+            let ready = null;
+
+            const waiter = () => {
+                const err = this._getBoardWaitError();
+
+                if (this._boardReady.isResolved) resolve();
+                else if (err !== null) reject(err);
+                else {
+                    // Every reconnect replaces the readiness deferred, so wait on whichever one is current
+                    if (ready !== this._boardReady) {
+                        ready = this._boardReady;
+                        ready.promise.then(waiter);
+                    }
+
+                    return;
+                }
+
+                this._stateWaiters.delete(waiter);
+            };
+
+            this._stateWaiters.add(waiter);
+            waiter();
+        });
+    }
+
+    _getBoardWaitError() {
+        switch (this._state) {
+            case ConnectionStates.destroyed:
+                return new ClientError("Client destroyed", null, ErrorCodes.DESTROYED);
+            case ConnectionStates.closed:
+                return new ClientError("Connection failed", this._closeCode, ErrorCodes.CONNECTION_FAILED);
+            default:
+                return null;
+        }
+    }
+
+    async _resumeView() {
+        const [centerX, centerY] = this._resumeCenter;
+        if (centerX === this.board.centerX && centerY === this.board.centerY) return;
+
+        try {
+            await this._subscribe(centerX, centerY);
+        } catch (err) {
+            this.logger.error("Resuming view failed", { err });
+        }
     }
 
     _decompressData(data) {
         if (!ChessClient._isZstdCompressed(data)) return data;
 
         try {
-            return fzstd.decompress(data);
+            const decompressed = fzstd.decompress(data);
+
+            this.metrics.inc("compressedBytes", data.length);
+            this.metrics.inc("decompressedBytes", decompressed.length);
+            this.metrics.observe("zstdRatio", decompressed.length / data.length);
+
+            return decompressed;
         } catch (err) {
-            this.log("error", "ERROR: Decompressing data failed:");
-            this.log("error", err);
+            this.logger.error("Decompressing data failed", { err });
 
             return null;
         }
@@ -1265,11 +2483,12 @@ class ChessClient extends WsClient {
         data = await this._decompressData(data);
         if (data === null) return null;
 
+        this.metrics.inc("bytesDecoded", data.length);
+
         try {
             return ServerMessage.decode(data);
         } catch (err) {
-            this.log("error", "ERROR: Decoding message failed:");
-            this.log("error", err);
+            this.logger.error("Decoding message failed", { err });
 
             return null;
         }
@@ -1282,35 +2501,66 @@ class ChessClient extends WsClient {
             handlerFunc = this._messageHandlers[payload];
 
         if (typeof handlerFunc === "undefined") {
-            console.warn("Unknown message type received:", payload);
+            this.logger.warn("Unknown message type received", { payload });
             return;
         }
 
         try {
             await handlerFunc.call(this, msg[payload]);
         } catch (err) {
-            this.log("error", "ERROR: Handling message failed:");
-            this.log("error", err);
+            this.logger.error("Handling message failed", { payload, err });
         }
     }
 
     _messageHandlers = {
         pong: () => {
+            if (typeof this._pingSentTime !== "undefined") {
+                this.metrics.observe("pingRtt", Date.now() - this._pingSentTime);
+                delete this._pingSentTime;
+            }
+
             this._schedulePing();
         },
 
-        initialState: data => {
+        initialState: async data => {
+            this.playingColor = data.playingWhite ? PieceColors.white : PieceColors.black;
+            this.startPosition = { x: data.position?.x ?? null, y: data.position?.y ?? null };
+
+            if (this.playingColor !== this.colorPref) {
+                this.logger.warn("Server assigned a different color", {
+                    colorPref: this.colorPref,
+                    playingColor: this.playingColor
+                });
+            }
+
             this._resetBoard(data.snapshot);
+
+            this.emit("snapshot", {
+                snapshot: data.snapshot,
+                seqnum: ChessClient._seqnumToNumber(data.snapshot.seqnum)
+            });
+
+            await this._resumeView();
             this._boardReady.resolve();
         },
 
         snapshot: data => {
             this._resetBoard(data);
 
+            this.emit("snapshot", {
+                snapshot: data,
+                seqnum: ChessClient._seqnumToNumber(data.seqnum)
+            });
+
             const pending = this._pendingViewMove;
 
-            if (pending !== null) {
+            // A late answer to an aborted or timed out view move must not resolve the current one
+            if (pending !== null && pending.centerX === data.xCoord && pending.centerY === data.yCoord) {
                 clearTimeout(pending.timeout);
+
+                this._reportResult("subscribe", true);
+                this.metrics.observe("viewLatency", Date.now() - pending.sentTime);
+
                 pending.resolve();
 
                 this._pendingViewMove = null;
@@ -1320,22 +2570,72 @@ class ChessClient extends WsClient {
         validMove: data => {
             const { moveToken, capturedPieceId } = data;
 
+            if (this._deleteAbortedMove(moveToken)) {
+                return this._handleDesync("abortedMove", moveToken);
+            }
+
             const pending = this._pendingPieceMoves.get(moveToken);
             if (typeof pending === "undefined") return;
 
             clearTimeout(pending.timeout);
             this._pendingPieceMoves.delete(moveToken);
 
-            this.board.movePiece(pending.piece, pending.toX, pending.toY, undefined, false, false);
+            const seqnum = ChessClient._seqnumToNumber(data.asOfSeqnum),
+                latency = Date.now() - pending.sentTime;
+
+            const captured = capturedPieceId ? this._findCapturedPiece(pending, capturedPieceId) : null;
+
+            if (pending.undo !== null) {
+                pending.piece.pendingMoves--;
+                this._removeAppliedMove(pending);
+            }
+
+            if (!this.board.isStale(seqnum, pending.piece.id)) {
+                if (capturedPieceId) this._capturePiece(capturedPieceId);
+
+                if (pending.undo === null) {
+                    this.board.movePiece(
+                        pending.piece,
+                        pending.toX,
+                        pending.toY,
+                        pending.type,
+                        !!capturedPieceId,
+                        false
+                    );
+                }
+
+                this.board.applySeqnum(seqnum, pending.piece.id);
+                if (capturedPieceId) this.board.applySeqnum(seqnum, capturedPieceId);
+            }
 
             this.totalMoves++;
             if (capturedPieceId) this.totalCaptures++;
 
-            pending.resolve({ moveToken });
+            this.metrics.inc("movesConfirmed");
+            if (capturedPieceId) this.metrics.inc("captures");
+
+            this.metrics.observe("moveLatency", latency);
+
+            this.emit("moveConfirmed", {
+                move: data,
+                piece: pending.piece,
+                seqnum
+            });
+
+            this._reportResult("move", true);
+
+            pending.resolve({
+                moveToken,
+                seqnum,
+                capturedPieceId: capturedPieceId || null,
+                captured,
+                latency
+            });
         },
 
         invalidMove: data => {
             const { moveToken } = data;
+            if (this._deleteAbortedMove(moveToken)) return;
 
             const pending = this._pendingPieceMoves.get(moveToken);
             if (typeof pending === "undefined") return;
@@ -1343,66 +2643,183 @@ class ChessClient extends WsClient {
             clearTimeout(pending.timeout);
             this._pendingPieceMoves.delete(moveToken);
 
-            pending.reject(new ChessError("Invalid move: " + moveToken, moveToken));
+            this.emit("moveRejected", {
+                move: data,
+                piece: pending.piece
+            });
+
+            this._reportResult("move", false, "invalid");
+            this.metrics.inc("movesInvalid");
+            this._rollbackMove(pending);
+
+            pending.reject(new ChessError("Invalid move: " + moveToken, moveToken, ErrorCodes.INVALID_MOVE));
         },
 
         movesAndCaptures: data => {
             const { moves, captures } = data;
 
-            for (const { capturedPieceId } of captures) {
-                this.board.captureWithId(capturedPieceId, false);
+            for (const capture of captures) {
+                const { capturedPieceId } = capture,
+                    seqnum = ChessClient._seqnumToNumber(capture.seqnum);
+
+                if (this.board.isStale(seqnum, capturedPieceId)) continue;
+
+                const piece = this._capturePiece(capturedPieceId);
+                this.board.applySeqnum(seqnum, capturedPieceId);
+
+                this.emit("pieceCaptured", {
+                    capture,
+                    piece,
+                    seqnum
+                });
             }
 
             for (const move of moves) {
-                const { x, y, piece } = move;
-                this.board.set(x, y, piece, false);
+                const { x, y, piece } = move,
+                    seqnum = ChessClient._seqnumToNumber(move.seqnum);
+
+                if (this.board.isStale(seqnum, piece.id)) continue;
+
+                const occupant = this.board.get(x, y, false);
+
+                if (occupant !== null && occupant.id !== piece.id) {
+                    this._handleDesync("Move onto occupied square", { x, y, pieceId: piece.id });
+                }
+
+                const moved = this.board.applyMove(x, y, piece);
+                this.board.applySeqnum(seqnum, piece.id);
+
+                this.emit("pieceMoved", {
+                    move,
+                    piece: moved,
+                    seqnum
+                });
+            }
+        },
+
+        adoption: data => {
+            const { adoptedIds } = data,
+                pieces = [];
+
+            for (const adoptedId of adoptedIds) {
+                this.adoptedIds.add(adoptedId);
+
+                const piece = this.board.adoptWithId(adoptedId, false);
+                if (piece !== null) pieces.push(piece);
             }
+
+            this.emit("adoption", {
+                adoption: data,
+                pieces
+            });
         },
 
         bulkCapture: data => {
-            const { capturedIds } = data;
+            const { capturedIds } = data,
+                seqnum = ChessClient._seqnumToNumber(data.seqnum),
+                pieces = [];
 
             for (const capturedPieceId of capturedIds) {
-                this.board.captureWithId(capturedPieceId, false);
+                if (this.board.isStale(seqnum, capturedPieceId)) continue;
+
+                const piece = this._capturePiece(capturedPieceId);
+                this.board.applySeqnum(seqnum, capturedPieceId);
+
+                if (piece !== null) pieces.push(piece);
             }
+
+            this.emit("bulkCapture", {
+                bulkCapture: data,
+                pieces,
+                seqnum
+            });
         }
     };
 
     _rejectPendingRequests() {
+        for (const timeout of this._abortedMoves.values()) clearTimeout(timeout);
+        this._abortedMoves.clear();
+
         for (const pending of this._pendingPieceMoves.values()) {
             clearTimeout(pending.timeout);
-            pending.reject(new ChessError("Connection closed"));
+            this._rollbackMove(pending);
+
+            pending.reject(new ChessError("Connection closed", null, ErrorCodes.CONNECTION_CLOSED));
         }
 
         this._pendingPieceMoves.clear();
+        this._appliedMoves = [];
 
         const pending = this._pendingViewMove;
 
         if (this._pendingViewMove !== null) {
             clearTimeout(pending.timeout);
-            pending.reject(new ChessError("Connection closed"));
+            pending.reject(new ChessError("Connection closed", null, ErrorCodes.CONNECTION_CLOSED));
 
             this._pendingViewMove = null;
         }
     }
 
     _onWebsocketOpen() {
+        this.recorder?.mark("open", this.k);
+
         super._onWebsocketOpen();
         this._schedulePing();
     }
 
+    _onDisconnect(code) {
+        this.recorder?.mark("close", this.k, { code });
+        this.adoptedIds.clear();
+    }
+
     async _onWebsocketMessage(data) {
         data = new Uint8Array(data);
+        this.metrics.inc("bytesReceived", data.length);
+
         const message = await this._decodeMessage(data);
+
+        this._recordFrame("in", data, message, ServerMessage);
         await this._handleServerMessage(message);
     }
 
+    _onWebsocketSend(data) {
+        if (this.recorder === null) return;
+
+        let message = null,
+            error = null;
+
+        try {
+            message = ClientMessage.decode(data);
+        } catch (err) {
+            error = err;
+        }
+
+        this._recordFrame("out", data, message, ClientMessage, error);
+    }
+
+    _recordFrame(dir, data, message, type, error = null) {
+        if (this.recorder === null) return;
+
+        const decoded =
+            message !== null
+                ? type.toObject(message, {
+                      longs: Number,
+                      oneofs: true
+                  })
+                : null;
+
+        this.recorder.record(dir, data, decoded, this.k, error);
+    }
+
     _getIncrMoveToken() {
-        if (this._moveToken >= ChessClient._maxMoveToken) {
-            this._moveToken = 0;
+        if (this._pendingPieceMoves.size + this._abortedMoves.size >= ChessClient._maxMoveToken) {
+            throw new ChessError("No free move tokens", null, ErrorCodes.INVALID_STATE);
         }
 
-        this._moveToken++;
+        do {
+            this._moveToken = this._moveToken >= ChessClient._maxMoveToken ? 1 : this._moveToken + 1;
+        } while (this._pendingPieceMoves.has(this._moveToken) || this._abortedMoves.has(this._moveToken));
+
         return this._moveToken;
     }
 
@@ -1414,11 +2831,15 @@ class ChessClient extends WsClient {
 
         delete this._pingInterval;
         delete this._pongTimeout;
+        delete this._pingSentTime;
     }
 }
 
 module.exports = {
+    ErrorCodes,
+    ClientError,
     ChessError,
+    RetryPolicy,
 
     Piece,
     Board,
@@ -1426,5 +2847,8 @@ module.exports = {
 
     PieceTypes,
     PieceColors,
-    MoveTypes
+    CastleSides,
+    MoveTypes,
+    ConnectionStates,
+    ConnectionScopes
 };
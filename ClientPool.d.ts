@@ -0,0 +1,139 @@
+import { EventEmitter } from "events";
+import { ChessClient, IClientStats } from "./ChessClient";
+import { IMetricSource } from "./Metrics";
+
+export const enum ClientStates {
+    starting = "starting",
+    connecting = "connecting",
+    idle = "idle",
+    working = "working",
+    paused = "paused",
+    stopped = "stopped"
+}
+export type ClientState = (typeof ClientStates)[keyof typeof ClientStates];
+
+type CreateClient<T> = (k: number, task: T, proxy: string | null) => ChessClient;
+
+type ClientPoolOptions<T> = {
+    size?: number;
+    createClient?: CreateClient<T>;
+
+    proxies?: (string | null)[];
+    maxProxyFailures?: number;
+    proxyCooldown?: number;
+
+    startDelay?: number;
+    startJitter?: number;
+
+    pauseTime?: number;
+    resumeJitter?: number;
+
+    maxTaskRetries?: number;
+    isSystemicError?: (err: Error) => boolean;
+};
+
+type PoolWorker<T> = (client: ChessClient, task: T, pool: ClientPool<T>) => Promise<void>;
+
+interface IPoolClientStatus<T> {
+    k: number;
+    state: ClientState;
+    task: T | null;
+
+    proxy: string | null;
+    connected: boolean;
+    center: [number, number] | null;
+
+    completed: number;
+    failed: number;
+    errors: number;
+    replacements: number;
+}
+
+interface IProxyStatus {
+    egress: string;
+
+    clients: number;
+    healthy: boolean;
+
+    successes: number;
+    failures: number;
+    consecutiveFailures: number;
+    lastError: string | null;
+}
+
+interface IPoolStatus<T> {
+    paused: boolean;
+    stopped: boolean;
+    queued: number;
+
+    proxies: IProxyStatus[];
+
+    clients: IPoolClientStatus<T>[];
+}
+
+interface IPoolStats {
+    total: IClientStats;
+    clients: (IClientStats & { k: number })[];
+}
+
+export interface ClientPoolEvents<T> {
+    paused: [{ ms: number }];
+    resumed: [];
+
+    clientReplaced: [{ k: number }];
+
+    proxyUnhealthy: [{ proxy: string; err: Error }];
+    proxyRecovered: [{ proxy: string }];
+
+    taskDone: [{ k: number; task: T }];
+    taskError: [{ k: number; task: T; err: Error }];
+    taskFailed: [{ k: number; task: T; err: Error }];
+
+    finished: [IPoolStatus<T>];
+}
+
+export declare class ClientPool<T = any> extends EventEmitter {
+    options: ClientPoolOptions<T>;
+
+    size: number;
+    createClient: CreateClient<T>;
+
+    maxProxyFailures: number;
+    proxyCooldown: number;
+
+    startDelay: number;
+    startJitter: number;
+
+    pauseTime: number;
+    resumeJitter: number;
+
+    maxTaskRetries: number;
+    isSystemicError: (err: Error) => boolean;
+
+    paused: boolean;
+    stopped: boolean;
+
+    readonly queued: number;
+    readonly signal: AbortSignal;
+
+    constructor(options?: ClientPoolOptions<T>);
+
+    push(...tasks: T[]): this;
+
+    run(tasks: Iterable<T>, worker: PoolWorker<T>): Promise<IPoolStatus<T>>;
+    run(worker: PoolWorker<T>): Promise<IPoolStatus<T>>;
+
+    pause(ms?: number): void;
+    resume(): void;
+    waitIfPaused(): Promise<void>;
+
+    stop(): void;
+
+    status(): IPoolStatus<T>;
+    stats(): IPoolStats;
+
+    getMetricSources(): IMetricSource[];
+
+    on<K extends keyof ClientPoolEvents<T>>(event: K, listener: (...args: ClientPoolEvents<T>[K]) => void): this;
+    emit<K extends keyof ClientPoolEvents<T>>(event: K, ...args: ClientPoolEvents<T>[K]): boolean;
+}
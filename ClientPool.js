@@ -0,0 +1,429 @@
+"use strict";
+
+const EventEmitter = require("events");
+
+const { ChessClient, ClientError, ErrorCodes, Board, ConnectionScopes } = require("./ChessClient.js");
+const { Metrics } = require("./Metrics.js");
+
+const ClientStates = Object.freeze({
+    starting: "starting",
+    connecting: "connecting",
+    idle: "idle",
+    working: "working",
+    paused: "paused",
+    stopped: "stopped"
+});
+
+class ClientPool extends EventEmitter {
+    constructor(options = {}) {
+        super();
+
+        this.options = options;
+
+        this._proxies = ClientPool._createProxyStates(options.proxies ?? []);
+        this.maxProxyFailures = options.maxProxyFailures ?? 3;
+        this.proxyCooldown = options.proxyCooldown ?? 60000;
+
+        const capacity = ClientPool._getCapacity(this._proxies.length);
+
+        this.size = Math.min(options.size ?? capacity, capacity);
+        this.createClient = options.createClient ?? ClientPool._defaultCreateClient;
+
+        this.startDelay = options.startDelay ?? 5000;
+        this.startJitter = options.startJitter ?? 2000;
+
+        this.pauseTime = options.pauseTime ?? 15000;
+        this.resumeJitter = options.resumeJitter ?? 5000;
+
+        this.maxTaskRetries = options.maxTaskRetries ?? 3;
+        this.isSystemicError = options.isSystemicError ?? ClientPool._isSystemicError;
+
+        this.clients = [];
+
+        this.paused = false;
+        this.stopped = false;
+
+        this._queue = [];
+        this._abortController = new AbortController();
+
+        this._resumed = null;
+        this._resumeTimeout = null;
+    }
+
+    get queued() {
+        return this._queue.length;
+    }
+
+    get signal() {
+        return this._abortController.signal;
+    }
+
+    push(...tasks) {
+        for (const task of tasks) {
+            this._queue.push({ task, retries: 0 });
+        }
+
+        return this;
+    }
+
+    async run(tasks, worker) {
+        if (typeof tasks === "function") {
+            worker = tasks;
+            tasks = [];
+        }
+
+        if (typeof worker !== "function") {
+            throw new ClientError("No worker function provided", null, ErrorCodes.INVALID_ARGUMENT);
+        }
+
+        this.stopped = false;
+        if (this.signal.aborted) this._abortController = new AbortController();
+
+        this.push(...(tasks ?? []));
+
+        const count = Math.min(this.size, this._queue.length),
+            loops = [];
+
+        for (let k = 0; k < count && !this.stopped; k++) {
+            if (k > 0) {
+                await ChessClient.delay(ChessClient._getRetryTime(this.startDelay, this.startJitter, false));
+            }
+
+            loops.push(this._runWorker(k, worker));
+        }
+
+        await Promise.all(loops);
+        this.emit("finished", this.status());
+
+        return this.status();
+    }
+
+    pause(ms = this.pauseTime) {
+        clearTimeout(this._resumeTimeout);
+        this._resumeTimeout = null;
+
+        if (!this.paused) {
+            this.paused = true;
+            this._resumed = ChessClient._createDeferred();
+
+            this.emit("paused", { ms });
+        }
+
+        if (ms > 0 && ms !== Infinity) {
+            this._resumeTimeout = setTimeout(() => this.resume(), ms);
+        }
+    }
+
+    resume() {
+        clearTimeout(this._resumeTimeout);
+        this._resumeTimeout = null;
+
+        if (!this.paused) return;
+
+        this.paused = false;
+        this._resumed.resolve();
+
+        this.emit("resumed");
+    }
+
+    async waitIfPaused() {
+        if (!this.paused) return;
+        await this._resumed.promise;
+
+        if (this.stopped) return;
+        await ChessClient.delay(ChessClient._getRetryTime(this.resumeJitter, this.resumeJitter, false));
+    }
+
+    stop() {
+        this.stopped = true;
+        this._queue = [];
+
+        this._abortController.abort();
+        this.resume();
+    }
+
+    status() {
+        return {
+            paused: this.paused,
+            stopped: this.stopped,
+            queued: this.queued,
+
+            proxies: this._proxies.map(state => ClientPool._getProxyStatus(state)),
+
+            clients: this.clients.map(entry => ({
+                k: entry.k,
+                state: entry.state,
+                task: entry.task,
+
+                proxy: entry.proxy?.egress ?? null,
+                connected: entry.client?.connected ?? false,
+                center: entry.client ? [entry.client.board.centerX, entry.client.board.centerY] : null,
+
+                completed: entry.completed,
+                failed: entry.failed,
+                errors: entry.errors,
+                replacements: entry.replacements
+            }))
+        };
+    }
+
+    stats() {
+        const clients = this.clients.map(entry => ClientPool._getEntryMetrics(entry)),
+            total = new Metrics();
+
+        for (const metrics of clients) total.merge(metrics);
+
+        return {
+            total: ChessClient.getStats(total),
+            clients: clients.map((metrics, k) => ({ k, ...ChessClient.getStats(metrics) }))
+        };
+    }
+
+    getMetricSources() {
+        return this.clients.map(entry => ({
+            labels: { k: entry.k },
+            metrics: ClientPool._getEntryMetrics(entry)
+        }));
+    }
+
+    static _systemicErrorCodes = [ErrorCodes.INVALID_MOVE, ErrorCodes.MOVE_TIMEOUT, ErrorCodes.VIEW_TIMEOUT];
+
+    static _proxyErrorCodes = [ErrorCodes.CONNECTION_FAILED, ErrorCodes.CONNECTION_CLOSED];
+
+    static _defaultCreateClient(k, task, proxy) {
+        return new ChessClient(Board.minCenter, "white", { k, proxy });
+    }
+
+    static _getCapacity(proxyCount) {
+        const egressCount = ChessClient.connectionScope === ConnectionScopes.egress ? Math.max(1, proxyCount) : 1;
+        return ChessClient.maxConnections * egressCount;
+    }
+
+    static _createProxyStates(proxies) {
+        if (proxies.length < 1) proxies = [null];
+
+        return proxies.map(proxy => {
+            proxy = ChessClient.validateProxy(proxy);
+
+            return {
+                proxy,
+                egress: ChessClient.getEgress(proxy),
+
+                clients: 0,
+                healthy: true,
+                retryTime: 0,
+
+                successes: 0,
+                failures: 0,
+                consecutiveFailures: 0,
+                lastError: null
+            };
+        });
+    }
+
+    static _compareProxies(a, b) {
+        return b.healthy - a.healthy || a.clients - b.clients || a.consecutiveFailures - b.consecutiveFailures;
+    }
+
+    static _getProxyStatus(state) {
+        const { proxy, retryTime, ...status } = state;
+        return status;
+    }
+
+    static _isSystemicError(err) {
+        return err instanceof ClientError && ClientPool._systemicErrorCodes.includes(err.code);
+    }
+
+    static _getEntryMetrics(entry) {
+        return new Metrics().merge(entry.retiredMetrics).merge(entry.client?.metrics);
+    }
+
+    static _isAlive(client) {
+        return client != null && !client.destroyed && client.connected;
+    }
+
+    static _destroyClient(client) {
+        if (client == null || client.destroyed) return;
+        client.destroy();
+    }
+
+    static _retireClient(entry) {
+        if (entry.client === null) return;
+
+        ClientPool._destroyClient(entry.client);
+        entry.retiredMetrics.merge(entry.client.metrics);
+
+        entry.client = null;
+    }
+
+    static _assignProxy(entry, state) {
+        if (entry.proxy !== null) entry.proxy.clients--;
+
+        entry.proxy = state;
+        if (state !== null) state.clients++;
+    }
+
+    async _runWorker(k, worker) {
+        const entry = {
+            k,
+            client: null,
+            proxy: null,
+
+            state: ClientStates.starting,
+            task: null,
+
+            completed: 0,
+            failed: 0,
+            errors: 0,
+            replacements: 0,
+
+            retiredMetrics: new Metrics()
+        };
+
+        this.clients[k] = entry;
+
+        while (!this.stopped) {
+            if (this.paused) {
+                entry.state = ClientStates.paused;
+                await this.waitIfPaused();
+
+                continue;
+            }
+
+            const item = this._queue.shift();
+            if (typeof item === "undefined") break;
+
+            entry.task = item.task;
+
+            try {
+                if (!ClientPool._isAlive(entry.client)) {
+                    await this._replaceClient(entry, item.task);
+                }
+
+                entry.state = ClientStates.working;
+                await worker(entry.client, item.task, this);
+
+                entry.completed++;
+                this.emit("taskDone", { k, task: item.task });
+            } catch (err) {
+                this._handleTaskError(entry, item, err);
+            }
+
+            entry.task = null;
+            entry.state = ClientStates.idle;
+        }
+
+        entry.state = ClientStates.stopped;
+
+        ClientPool._retireClient(entry);
+        ClientPool._assignProxy(entry, null);
+    }
+
+    async _replaceClient(entry, task) {
+        entry.state = ClientStates.connecting;
+
+        if (entry.client !== null) {
+            ClientPool._retireClient(entry);
+            entry.replacements++;
+
+            this.emit("clientReplaced", { k: entry.k });
+        }
+
+        const proxy = await this._pickProxy(entry);
+        ClientPool._assignProxy(entry, proxy);
+
+        const client = this.createClient(entry.k, task, proxy.proxy);
+        entry.client = client;
+
+        try {
+            await client.init();
+        } catch (err) {
+            ClientPool._destroyClient(client);
+
+            this._reportProxyResult(proxy, err);
+            throw err;
+        }
+
+        this._reportProxyResult(proxy, null);
+    }
+
+    async _pickProxy(entry) {
+        const maxClients =
+            ChessClient.connectionScope === ConnectionScopes.egress ? ChessClient.maxConnections : Infinity;
+
+        while (true) {
+            const now = Date.now(),
+                current = entry.proxy;
+
+            const candidates = this._proxies.filter(
+                state => (state === current ? state.clients - 1 : state.clients) < maxClients
+            );
+
+            const available = candidates.filter(state => state.healthy || state.retryTime <= now);
+
+            if (available.length > 0) {
+                if (available.includes(current) && current.healthy) return current;
+
+                return available.reduce((best, state) => (ClientPool._compareProxies(state, best) < 0 ? state : best));
+            }
+
+            if (candidates.length < 1) {
+                throw new ClientError("No proxy with free connections available", null, ErrorCodes.MAX_CONNECTIONS);
+            }
+
+            const retryTime = Math.min(...candidates.map(state => state.retryTime));
+            await ChessClient._waitAbortable(ChessClient.delay(retryTime - now), this.signal);
+        }
+    }
+
+    _reportProxyResult(state, err) {
+        // Errors past the transport say nothing about the proxy
+        if (err !== null && !ClientPool._proxyErrorCodes.includes(err.code)) return;
+
+        if (err === null) {
+            state.successes++;
+            state.consecutiveFailures = 0;
+
+            if (!state.healthy) {
+                state.healthy = true;
+                this.emit("proxyRecovered", { proxy: state.egress });
+            }
+
+            return;
+        }
+
+        state.failures++;
+        state.consecutiveFailures++;
+        state.lastError = err.message;
+
+        if (state.healthy && state.consecutiveFailures < this.maxProxyFailures) return;
+        state.retryTime = Date.now() + this.proxyCooldown;
+
+        if (state.healthy) {
+            state.healthy = false;
+            this.emit("proxyUnhealthy", { proxy: state.egress, err });
+        }
+    }
+
+    _handleTaskError(entry, item, err) {
+        entry.errors++;
+        this.emit("taskError", { k: entry.k, task: item.task, err });
+
+        if (++item.retries <= this.maxTaskRetries) {
+            this._queue.unshift(item);
+        } else {
+            entry.failed++;
+            this.emit("taskFailed", { k: entry.k, task: item.task, err });
+        }
+
+        if (this.isSystemicError(err)) {
+            ClientPool._destroyClient(entry.client);
+            this.pause(this.pauseTime);
+        }
+    }
+}
+
+module.exports = {
+    ClientPool,
+    ClientStates
+};
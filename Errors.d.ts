@@ -0,0 +1,36 @@
+declare class RefError extends Error {
+    ref: any;
+    constructor(message?: string, ref?: any, ...args: any[]);
+}
+
+export const enum ErrorCodes {
+    UNKNOWN = "UNKNOWN",
+    INVALID_ARGUMENT = "INVALID_ARGUMENT",
+    INVALID_STATE = "INVALID_STATE",
+    NO_PIECE = "NO_PIECE",
+    PIECE_ADOPTED = "PIECE_ADOPTED",
+    OUT_OF_BOUNDS = "OUT_OF_BOUNDS",
+    ILLEGAL_MOVE = "ILLEGAL_MOVE",
+    WRONG_COLOR = "WRONG_COLOR",
+    INVALID_MOVE = "INVALID_MOVE",
+    MOVE_TIMEOUT = "MOVE_TIMEOUT",
+    VIEW_PENDING = "VIEW_PENDING",
+    VIEW_TOO_CLOSE = "VIEW_TOO_CLOSE",
+    VIEW_TIMEOUT = "VIEW_TIMEOUT",
+    MAX_CONNECTIONS = "MAX_CONNECTIONS",
+    COLOR_MISMATCH = "COLOR_MISMATCH",
+    CONNECTION_FAILED = "CONNECTION_FAILED",
+    CONNECTION_CLOSED = "CONNECTION_CLOSED",
+    NOT_CONNECTED = "NOT_CONNECTED",
+    SEND_FAILED = "SEND_FAILED",
+    DESTROYED = "DESTROYED",
+    ABORTED = "ABORTED"
+}
+export type ErrorCode = (typeof ErrorCodes)[keyof typeof ErrorCodes];
+
+export declare class ClientError extends RefError {
+    code: ErrorCode;
+    retryable: boolean;
+    constructor(message?: string, ref?: any, code?: ErrorCode, ...args: any[]);
+}
+export declare class ChessError extends ClientError {}
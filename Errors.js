@@ -0,0 +1,74 @@
+"use strict";
+
+const ErrorCodes = Object.freeze({
+    UNKNOWN: "UNKNOWN",
+    INVALID_ARGUMENT: "INVALID_ARGUMENT",
+    INVALID_STATE: "INVALID_STATE",
+
+    NO_PIECE: "NO_PIECE",
+    PIECE_ADOPTED: "PIECE_ADOPTED",
+    OUT_OF_BOUNDS: "OUT_OF_BOUNDS",
+    ILLEGAL_MOVE: "ILLEGAL_MOVE",
+    WRONG_COLOR: "WRONG_COLOR",
+
+    INVALID_MOVE: "INVALID_MOVE",
+    MOVE_TIMEOUT: "MOVE_TIMEOUT",
+
+    VIEW_PENDING: "VIEW_PENDING",
+    VIEW_TOO_CLOSE: "VIEW_TOO_CLOSE",
+    VIEW_TIMEOUT: "VIEW_TIMEOUT",
+
+    MAX_CONNECTIONS: "MAX_CONNECTIONS",
+    COLOR_MISMATCH: "COLOR_MISMATCH",
+    CONNECTION_FAILED: "CONNECTION_FAILED",
+    CONNECTION_CLOSED: "CONNECTION_CLOSED",
+    NOT_CONNECTED: "NOT_CONNECTED",
+    SEND_FAILED: "SEND_FAILED",
+    DESTROYED: "DESTROYED",
+    ABORTED: "ABORTED"
+});
+
+const retryableCodes = new Set([
+    ErrorCodes.MOVE_TIMEOUT,
+    ErrorCodes.VIEW_PENDING,
+    ErrorCodes.VIEW_TIMEOUT,
+    ErrorCodes.COLOR_MISMATCH,
+    ErrorCodes.CONNECTION_FAILED,
+    ErrorCodes.CONNECTION_CLOSED,
+    ErrorCodes.NOT_CONNECTED,
+    ErrorCodes.SEND_FAILED
+]);
+
+class CustomError extends Error {
+    constructor(message = "", ...args) {
+        super(message, ...args);
+
+        this.name = this.constructor.name;
+        Error.captureStackTrace(this, this.constructor);
+    }
+}
+
+class RefError extends CustomError {
+    constructor(message = "", ref, ...args) {
+        super(message, ...args);
+
+        this.ref = ref;
+    }
+}
+
+class ClientError extends RefError {
+    constructor(message = "", ref, code = ErrorCodes.UNKNOWN, ...args) {
+        super(message, ref, ...args);
+
+        this.code = code;
+        this.retryable = retryableCodes.has(code);
+    }
+}
+
+class ChessError extends ClientError {}
+
+module.exports = {
+    ErrorCodes,
+    ClientError,
+    ChessError
+};
@@ -0,0 +1,50 @@
+import { Writable } from "stream";
+
+export const enum LogLevels {
+    debug = "debug",
+    info = "info",
+    warn = "warn",
+    error = "error",
+    silent = "silent"
+}
+export type LogLevel = (typeof LogLevels)[keyof typeof LogLevels];
+
+export const enum LogFormats {
+    pretty = "pretty",
+    json = "json"
+}
+export type LogFormat = (typeof LogFormats)[keyof typeof LogFormats];
+
+type LogContext = Record<string, any> | (() => Record<string, any>);
+
+type LoggerOptions = {
+    level?: LogLevel;
+    format?: LogFormat;
+    stream?: Writable | null;
+    context?: LogContext;
+};
+
+export declare class Logger {
+    static levelValues: Record<LogLevel, number>;
+    static silent: Logger;
+
+    static isLevel(level: string): level is LogLevel;
+
+    options: LoggerOptions;
+
+    level: LogLevel;
+    format: LogFormat;
+    stream: Writable | null;
+
+    constructor(options?: LoggerOptions);
+
+    child(context: LogContext): Logger;
+    isEnabled(level: LogLevel): boolean;
+
+    log(level: LogLevel, message: string, fields?: Record<string, any>): void;
+
+    debug(message: string, fields?: Record<string, any>): void;
+    info(message: string, fields?: Record<string, any>): void;
+    warn(message: string, fields?: Record<string, any>): void;
+    error(message: string, fields?: Record<string, any>): void;
+}
@@ -0,0 +1,165 @@
+"use strict";
+
+const util = require("util");
+
+const LogLevels = Object.freeze({
+    debug: "debug",
+    info: "info",
+    warn: "warn",
+    error: "error",
+    silent: "silent"
+});
+
+const LogFormats = Object.freeze({
+    pretty: "pretty",
+    json: "json"
+});
+
+class Logger {
+    static levelValues = {
+        [LogLevels.debug]: 10,
+        [LogLevels.info]: 20,
+        [LogLevels.warn]: 30,
+        [LogLevels.error]: 40,
+        [LogLevels.silent]: Infinity
+    };
+
+    static isLevel(level) {
+        return typeof Logger.levelValues[level] === "number";
+    }
+
+    constructor(options = {}) {
+        const level = options.level ?? LogLevels.info,
+            format = options.format ?? LogFormats.pretty;
+
+        if (!Logger.isLevel(level)) {
+            throw new TypeError("Invalid log level: " + level);
+        }
+
+        if (!Object.values(LogFormats).includes(format)) {
+            throw new TypeError("Invalid log format: " + format);
+        }
+
+        this.options = options;
+
+        this.level = level;
+        this.format = format;
+        this.stream = options.stream ?? null;
+
+        this._root = this;
+        this._contexts = options.context != null ? [options.context] : [];
+    }
+
+    child(context) {
+        const child = Object.create(this);
+        child._contexts = this._contexts.concat(context);
+
+        return child;
+    }
+
+    isEnabled(level) {
+        return Logger.levelValues[level] >= Logger.levelValues[this._root.level];
+    }
+
+    log(level, message, fields = {}) {
+        if (level === LogLevels.silent || !this.isEnabled(level)) return;
+
+        const entry = {
+            time: new Date().toISOString(),
+            level,
+            ...this._getContext(),
+            msg: message,
+            ...Logger._serializeFields(fields)
+        };
+
+        this._root._write(entry);
+    }
+
+    debug(message, fields) {
+        this.log(LogLevels.debug, message, fields);
+    }
+
+    info(message, fields) {
+        this.log(LogLevels.info, message, fields);
+    }
+
+    warn(message, fields) {
+        this.log(LogLevels.warn, message, fields);
+    }
+
+    error(message, fields) {
+        this.log(LogLevels.error, message, fields);
+    }
+
+    static silent = new Logger({ level: LogLevels.silent });
+
+    static _serializeError(err) {
+        const serialized = {
+            name: err.name,
+            message: err.message
+        };
+
+        if (typeof err.code !== "undefined") serialized.code = err.code;
+        if (typeof err.ref !== "undefined" && typeof err.ref !== "object") serialized.ref = err.ref;
+
+        serialized.stack = err.stack;
+        return serialized;
+    }
+
+    static _serializeFields(fields) {
+        const serialized = {};
+
+        for (const [key, value] of Object.entries(fields)) {
+            serialized[key] = value instanceof Error ? Logger._serializeError(value) : value;
+        }
+
+        return serialized;
+    }
+
+    static _formatValue(value) {
+        if (value === null || typeof value !== "object") return String(value);
+
+        if (typeof value.stack === "string" && typeof value.message === "string") {
+            const code = value.code != null ? `(${value.code})` : "";
+            return `${value.name}${code}: ${value.message}`;
+        }
+
+        return util.inspect(value, { breakLength: Infinity, compact: true });
+    }
+
+    static _formatPretty(entry) {
+        const { time, level, msg, ...fields } = entry;
+
+        const values = Object.entries(fields)
+            .filter(([, value]) => value != null)
+            .map(([key, value]) => `${key}=${Logger._formatValue(value)}`);
+
+        return [time.slice(11, 23), level.toUpperCase().padEnd(5), msg, ...values].join(" ");
+    }
+
+    _getContext() {
+        const context = {};
+
+        for (const entry of this._contexts) {
+            Object.assign(context, typeof entry === "function" ? entry() : entry);
+        }
+
+        return context;
+    }
+
+    _write(entry) {
+        const line = this.format === LogFormats.json ? JSON.stringify(entry) : Logger._formatPretty(entry);
+
+        if (this.stream !== null) {
+            this.stream.write(line + "\n");
+        } else {
+            console[entry.level](line);
+        }
+    }
+}
+
+module.exports = {
+    Logger,
+    LogLevels,
+    LogFormats
+};
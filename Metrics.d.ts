@@ -0,0 +1,113 @@
+export const enum MetricTypes {
+    counter = "counter",
+    histogram = "histogram"
+}
+export type MetricType = (typeof MetricTypes)[keyof typeof MetricTypes];
+
+export interface IHistogramSnapshot {
+    count: number;
+    sum: number;
+
+    min: number | null;
+    max: number | null;
+    mean: number | null;
+
+    buckets: Record<number, number>;
+}
+
+export declare class Counter {
+    type: MetricTypes.counter;
+
+    name: string;
+    help: string;
+
+    value: number;
+
+    constructor(name: string, help?: string);
+
+    inc(value?: number): void;
+    merge(other: Counter): void;
+    reset(): void;
+
+    snapshot(): number;
+}
+
+export declare class Histogram {
+    static defaultBuckets: number[];
+
+    type: MetricTypes.histogram;
+
+    name: string;
+    help: string;
+
+    buckets: number[];
+    counts: number[];
+
+    count: number;
+    sum: number;
+
+    min: number;
+    max: number;
+
+    constructor(name: string, help?: string, buckets?: number[]);
+
+    observe(value: number): void;
+    merge(other: Histogram): void;
+    reset(): void;
+
+    snapshot(): IHistogramSnapshot;
+}
+
+type Metric = Counter | Histogram;
+
+export interface IMetricSource {
+    labels?: Record<string, string | number | null | undefined>;
+    metrics: Metrics;
+}
+
+export declare class Metrics {
+    static prefix: string;
+
+    static formatPrometheus(sources: Iterable<IMetricSource>): string;
+
+    prefix: string;
+
+    constructor(prefix?: string);
+
+    counter(key: string, help?: string): Counter;
+    histogram(key: string, help?: string, buckets?: number[]): Histogram;
+
+    get(key: string): Metric | undefined;
+
+    inc(key: string, value?: number): void;
+    observe(key: string, value: number): void;
+
+    merge(other: Metrics | null | undefined): this;
+    reset(): void;
+
+    snapshot(): Record<string, number | IHistogramSnapshot>;
+}
+
+type MetricsServerOptions = {
+    host?: string;
+    port?: number;
+    path?: string;
+};
+
+export declare class MetricsServer {
+    static contentType: string;
+
+    collect: () => Iterable<IMetricSource>;
+    options: MetricsServerOptions;
+
+    host: string;
+    port: number;
+    path: string;
+
+    readonly url: string;
+
+    constructor(collect: () => Iterable<IMetricSource>, options?: MetricsServerOptions);
+
+    listen(): Promise<number>;
+    close(): Promise<void>;
+}
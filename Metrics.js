@@ -0,0 +1,342 @@
+"use strict";
+
+const http = require("http");
+
+const MetricTypes = Object.freeze({
+    counter: "counter",
+    histogram: "histogram"
+});
+
+class Counter {
+    constructor(name, help = "") {
+        this.type = MetricTypes.counter;
+
+        this.name = name;
+        this.help = help;
+
+        this.value = 0;
+    }
+
+    inc(value = 1) {
+        this.value += value;
+    }
+
+    merge(other) {
+        this.value += other.value;
+    }
+
+    reset() {
+        this.value = 0;
+    }
+
+    snapshot() {
+        return this.value;
+    }
+}
+
+class Histogram {
+    static defaultBuckets = [5, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000, 10000, 30000];
+
+    constructor(name, help = "", buckets = Histogram.defaultBuckets) {
+        this.type = MetricTypes.histogram;
+
+        this.name = name;
+        this.help = help;
+
+        this.buckets = buckets.slice().sort((a, b) => a - b);
+        this.reset();
+    }
+
+    observe(value) {
+        if (!Number.isFinite(value)) return;
+
+        this.count++;
+        this.sum += value;
+
+        this.min = Math.min(this.min, value);
+        this.max = Math.max(this.max, value);
+
+        const i = this.buckets.findIndex(bound => value <= bound);
+        if (i !== -1) this.counts[i]++;
+    }
+
+    merge(other) {
+        for (let i = 0; i < this.buckets.length; i++) {
+            const j = other.buckets.indexOf(this.buckets[i]);
+            if (j !== -1) this.counts[i] += other.counts[j];
+        }
+
+        this.count += other.count;
+        this.sum += other.sum;
+
+        this.min = Math.min(this.min, other.min);
+        this.max = Math.max(this.max, other.max);
+    }
+
+    reset() {
+        this.counts = new Array(this.buckets.length).fill(0);
+
+        this.count = 0;
+        this.sum = 0;
+
+        this.min = Infinity;
+        this.max = -Infinity;
+    }
+
+    snapshot() {
+        const buckets = {};
+        let cumulative = 0;
+
+        for (let i = 0; i < this.buckets.length; i++) {
+            cumulative += this.counts[i];
+            buckets[this.buckets[i]] = cumulative;
+        }
+
+        const empty = this.count < 1;
+
+        return {
+            count: this.count,
+            sum: this.sum,
+
+            min: empty ? null : this.min,
+            max: empty ? null : this.max,
+            mean: empty ? null : this.sum / this.count,
+
+            buckets
+        };
+    }
+}
+
+class Metrics {
+    static prefix = "chess_client_";
+
+    constructor(prefix = Metrics.prefix) {
+        this.prefix = prefix;
+        this._metrics = new Map();
+    }
+
+    counter(key, help) {
+        return this._register(key, new Counter(this._getMetricName(key, "_total"), help));
+    }
+
+    histogram(key, help, buckets) {
+        return this._register(key, new Histogram(this._getMetricName(key), help, buckets));
+    }
+
+    get(key) {
+        return this._metrics.get(key);
+    }
+
+    inc(key, value) {
+        this._metrics.get(key).inc(value);
+    }
+
+    observe(key, value) {
+        this._metrics.get(key).observe(value);
+    }
+
+    merge(other) {
+        if (other == null) return this;
+
+        for (const [key, metric] of other._metrics) {
+            let target = this._metrics.get(key);
+
+            if (typeof target === "undefined") {
+                target = Metrics._createEmpty(metric);
+                this._metrics.set(key, target);
+            }
+
+            target.merge(metric);
+        }
+
+        return this;
+    }
+
+    reset() {
+        for (const metric of this._metrics.values()) metric.reset();
+    }
+
+    snapshot() {
+        const snapshot = {};
+
+        for (const [key, metric] of this._metrics) {
+            snapshot[key] = metric.snapshot();
+        }
+
+        return snapshot;
+    }
+
+    static formatPrometheus(sources) {
+        const families = new Map();
+
+        for (const { labels = {}, metrics } of sources) {
+            for (const metric of metrics._metrics.values()) {
+                let family = families.get(metric.name);
+
+                if (typeof family === "undefined") {
+                    family = { metric, series: [] };
+                    families.set(metric.name, family);
+                }
+
+                family.series.push({ labels, metric });
+            }
+        }
+
+        const lines = [];
+
+        for (const [name, { metric, series }] of families) {
+            if (metric.help) lines.push(`# HELP ${name} ${Metrics._escapeHelp(metric.help)}`);
+            lines.push(`# TYPE ${name} ${metric.type}`);
+
+            for (const { labels, metric } of series) {
+                lines.push(...Metrics._formatSeries(metric, labels));
+            }
+        }
+
+        return lines.join("\n") + "\n";
+    }
+
+    static _createEmpty(metric) {
+        switch (metric.type) {
+            case MetricTypes.counter:
+                return new Counter(metric.name, metric.help);
+            case MetricTypes.histogram:
+                return new Histogram(metric.name, metric.help, metric.buckets);
+            default:
+                throw new TypeError("Invalid metric type: " + metric.type);
+        }
+    }
+
+    static _formatSeries(metric, labels) {
+        const { name } = metric;
+
+        if (metric.type === MetricTypes.counter) {
+            return [`${name}${Metrics._formatLabels(labels)} ${metric.value}`];
+        }
+
+        const lines = [];
+        let cumulative = 0;
+
+        for (let i = 0; i < metric.buckets.length; i++) {
+            cumulative += metric.counts[i];
+            lines.push(`${name}_bucket${Metrics._formatLabels({ ...labels, le: metric.buckets[i] })} ${cumulative}`);
+        }
+
+        lines.push(
+            `${name}_bucket${Metrics._formatLabels({ ...labels, le: "+Inf" })} ${metric.count}`,
+            `${name}_sum${Metrics._formatLabels(labels)} ${metric.sum}`,
+            `${name}_count${Metrics._formatLabels(labels)} ${metric.count}`
+        );
+
+        return lines;
+    }
+
+    static _formatLabels(labels) {
+        const entries = Object.entries(labels).filter(([, value]) => value != null);
+        if (entries.length < 1) return "";
+
+        const formatted = entries.map(([key, value]) => `${key}="${Metrics._escapeLabel(String(value))}"`);
+        return `{${formatted.join(",")}}`;
+    }
+
+    static _escapeLabel(value) {
+        return value.replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+    }
+
+    static _escapeHelp(help) {
+        return help.replace(/\\/g, "\\\\").replace(/\n/g, "\\n");
+    }
+
+    _getMetricName(key, suffix = "") {
+        const snakeKey = key.replace(/([a-z0-9])([A-Z])/g, "$1_$2").toLowerCase();
+        return this.prefix + snakeKey + suffix;
+    }
+
+    _register(key, metric) {
+        if (this._metrics.has(key)) {
+            throw new Error("Metric already registered: " + key);
+        }
+
+        this._metrics.set(key, metric);
+        return metric;
+    }
+}
+
+class MetricsServer {
+    static contentType = "text/plain; version=0.0.4; charset=utf-8";
+
+    constructor(collect, options = {}) {
+        if (typeof collect !== "function") {
+            throw new TypeError("No collect function provided");
+        }
+
+        this.collect = collect;
+        this.options = options;
+
+        this.host = options.host ?? "127.0.0.1";
+        this.port = options.port ?? 9464;
+        this.path = options.path ?? "/metrics";
+
+        this._server = null;
+    }
+
+    get url() {
+        return `http://${this.host}:${this.port}${this.path}`;
+    }
+
+    listen() {
+        return new Promise((resolve, reject) => {
+            const server = http.createServer((req, res) => this._onRequest(req, res));
+
+            server.once("error", reject);
+
+            server.listen(this.port, this.host, () => {
+                server.off("error", reject);
+
+                this.port = server.address().port;
+                resolve(this.port);
+            });
+
+            this._server = server;
+        });
+    }
+
+    close() {
+        if (this._server === null) return Promise.resolve();
+
+        return new Promise(resolve => {
+            this._server.close(() => resolve());
+            this._server.closeAllConnections();
+
+            this._server = null;
+        });
+    }
+
+    _onRequest(req, res) {
+        const { pathname } = new URL(req.url, "http://localhost");
+
+        if (req.method !== "GET" || pathname !== this.path) {
+            res.writeHead(404).end();
+            return;
+        }
+
+        let body;
+
+        try {
+            body = Metrics.formatPrometheus(this.collect());
+        } catch (err) {
+            res.writeHead(500, { "Content-Type": "text/plain" }).end(String(err?.message ?? err));
+            return;
+        }
+
+        res.writeHead(200, { "Content-Type": MetricsServer.contentType }).end(body);
+    }
+}
+
+module.exports = {
+    Counter,
+    Histogram,
+    Metrics,
+    MetricsServer,
+    MetricTypes
+};
@@ -0,0 +1,63 @@
+import { EventEmitter } from "events";
+
+export type RequestKind = "move" | "subscribe" | "ping" | string;
+
+type RateLimiterOptions = {
+    budgets?: Partial<Record<RequestKind, number>>;
+
+    minScale?: number;
+    backoffFactor?: number;
+    recoveryRate?: number;
+
+    windowSize?: number;
+    minSamples?: number;
+    failureThreshold?: number;
+    backoffCooldown?: number;
+};
+
+interface IScaleChange {
+    kind: RequestKind;
+    reason: string | null;
+    scale: number;
+    failureRate: number;
+}
+
+export interface RateLimiterEvents {
+    backoff: [IScaleChange];
+    recover: [IScaleChange];
+}
+
+export declare class RateLimiter extends EventEmitter {
+    static defaultBudgets: Record<RequestKind, number>;
+
+    static delay(ms: number): Promise<void>;
+
+    options: RateLimiterOptions;
+    budgets: Record<RequestKind, number>;
+
+    minScale: number;
+    backoffFactor: number;
+    recoveryRate: number;
+
+    windowSize: number;
+    minSamples: number;
+    failureThreshold: number;
+    backoffCooldown: number;
+
+    scale: number;
+    readonly failureRate: number;
+
+    constructor(options?: RateLimiterOptions);
+
+    getRate(kind: RequestKind): number;
+
+    acquire(kind?: RequestKind): Promise<void>;
+
+    reportSuccess(kind?: RequestKind): void;
+    reportFailure(kind?: RequestKind, reason?: string | null): void;
+
+    reset(): void;
+
+    on<K extends keyof RateLimiterEvents>(event: K, listener: (...args: RateLimiterEvents[K]) => void): this;
+    emit<K extends keyof RateLimiterEvents>(event: K, ...args: RateLimiterEvents[K]): boolean;
+}
@@ -0,0 +1,173 @@
+"use strict";
+
+const EventEmitter = require("events");
+
+const { ErrorCodes, ClientError } = require("./Errors.js");
+
+class RateLimiter extends EventEmitter {
+    static defaultBudgets = {
+        move: 10,
+        subscribe: 2,
+        ping: 20
+    };
+
+    static delay(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    constructor(options = {}) {
+        super();
+
+        this.options = options;
+        this.budgets = { ...RateLimiter.defaultBudgets, ...(options.budgets ?? {}) };
+
+        this.minScale = options.minScale ?? 0.1;
+        this.backoffFactor = options.backoffFactor ?? 0.5;
+        this.recoveryRate = options.recoveryRate ?? 0.01;
+
+        this.windowSize = options.windowSize ?? 20;
+        this.minSamples = options.minSamples ?? 5;
+        this.failureThreshold = options.failureThreshold ?? 0.25;
+        this.backoffCooldown = options.backoffCooldown ?? 5000;
+
+        this.scale = 1;
+
+        this._buckets = new Map();
+        this._results = [];
+        this._lastBackoffTime = 0;
+        this._lastRecoveryTime = 0;
+
+        RateLimiter._validateBudgets(this.budgets);
+
+        if (typeof this.minScale !== "number" || !(this.minScale > 0 && this.minScale <= 1)) {
+            throw new ClientError("Minimum scale must be within (0, 1]", this.minScale, ErrorCodes.INVALID_ARGUMENT);
+        }
+    }
+
+    getRate(kind) {
+        const budget = this.budgets[kind] ?? Infinity;
+        return budget * this.scale;
+    }
+
+    get failureRate() {
+        if (this._results.length < 1) return 0;
+
+        const failures = this._results.filter(success => !success).length;
+        return failures / this._results.length;
+    }
+
+    async acquire(kind = "move") {
+        while (true) {
+            const rate = this.getRate(kind);
+            if (rate === Infinity) return;
+
+            const bucket = this._getBucket(kind, rate);
+
+            if (bucket.tokens >= 1) {
+                bucket.tokens--;
+                return;
+            }
+
+            const refillDelay = ((1 - bucket.tokens) / rate) * 1000;
+            await RateLimiter.delay(refillDelay);
+        }
+    }
+
+    reportSuccess(kind = "move") {
+        this._addResult(true);
+        this._recover(kind);
+    }
+
+    reportFailure(kind = "move", reason = null) {
+        this._addResult(false);
+
+        const now = Date.now(),
+            elapsed = now - this._lastBackoffTime;
+
+        if (this._results.length < this.minSamples || elapsed < this.backoffCooldown) return;
+        if (this.failureRate < this.failureThreshold) return;
+
+        this._lastBackoffTime = now;
+        this._setScale(this.scale * this.backoffFactor, kind, reason);
+    }
+
+    reset() {
+        this.scale = 1;
+
+        this._buckets.clear();
+        this._results = [];
+        this._lastBackoffTime = 0;
+        this._lastRecoveryTime = 0;
+    }
+
+    static _validateBudgets(budgets) {
+        for (const [kind, budget] of Object.entries(budgets)) {
+            if (budget == null) continue;
+
+            if (typeof budget !== "number" || !(budget > 0)) {
+                throw new ClientError(
+                    `Budget for ${kind} must be a positive number`,
+                    budget,
+                    ErrorCodes.INVALID_ARGUMENT
+                );
+            }
+        }
+    }
+
+    _getBucket(kind, rate) {
+        const now = Date.now(),
+            capacity = Math.max(1, rate);
+
+        let bucket = this._buckets.get(kind);
+
+        if (typeof bucket === "undefined") {
+            bucket = { tokens: capacity, lastRefillTime: now };
+            this._buckets.set(kind, bucket);
+
+            return bucket;
+        }
+
+        const elapsed = (now - bucket.lastRefillTime) / 1000;
+
+        bucket.tokens = Math.min(capacity, bucket.tokens + elapsed * rate);
+        bucket.lastRefillTime = now;
+
+        return bucket;
+    }
+
+    _addResult(success) {
+        this._results.push(success);
+        if (this._results.length > this.windowSize) this._results.shift();
+    }
+
+    _recover(kind) {
+        const now = Date.now(),
+            start = Math.max(this._lastBackoffTime + this.backoffCooldown, this._lastRecoveryTime),
+            elapsed = (now - start) / 1000;
+
+        if (elapsed <= 0) return;
+        this._lastRecoveryTime = now;
+
+        if (this.failureRate >= this.failureThreshold) return;
+        this._setScale(this.scale + elapsed * this.recoveryRate, kind);
+    }
+
+    _setScale(scale, kind, reason = null) {
+        scale = Math.min(1, Math.max(this.minScale, scale));
+        if (scale === this.scale) return;
+
+        const backoff = scale < this.scale;
+        this.scale = scale;
+
+        this.emit(backoff ? "backoff" : "recover", {
+            kind,
+            reason,
+            scale,
+            failureRate: this.failureRate
+        });
+    }
+}
+
+module.exports = {
+    RateLimiter
+};
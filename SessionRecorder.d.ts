@@ -0,0 +1,38 @@
+import { Logger } from "./Logger";
+
+export type RecordDirection = "in" | "out";
+export type RecordEvent = "open" | "close";
+
+export type SessionRecorderOptions = {
+    logger?: Logger;
+};
+
+export interface IRecordEntry {
+    t: number;
+    k: number | null;
+    dir: RecordDirection | RecordEvent;
+    raw?: Buffer;
+    decoded?: object | null;
+    error?: string;
+    code?: number;
+}
+
+export declare class SessionRecorder {
+    static read(filePath: string): IRecordEntry[];
+
+    filePath: string;
+    logger: Logger;
+    closed: boolean;
+
+    constructor(filePath: string, options?: SessionRecorderOptions);
+
+    record(
+        dir: RecordDirection,
+        raw: Uint8Array,
+        decoded?: object | null,
+        k?: number | null,
+        error?: Error | string | null
+    ): void;
+    mark(event: RecordEvent, k?: number | null, data?: object): void;
+    close(): Promise<void>;
+}
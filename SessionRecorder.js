@@ -0,0 +1,83 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+
+const { ErrorCodes, ClientError } = require("./Errors.js");
+const { Logger } = require("./Logger.js");
+
+class SessionRecorder {
+    static read(filePath) {
+        const lines = fs.readFileSync(filePath, "utf8").split("\n");
+
+        return lines
+            .filter(line => line.trim().length > 0)
+            .map(line => {
+                const entry = JSON.parse(line);
+                if (typeof entry.raw === "string") entry.raw = Buffer.from(entry.raw, "base64");
+
+                return entry;
+            });
+    }
+
+    constructor(filePath, options = {}) {
+        if (typeof filePath !== "string" || filePath.length < 1) {
+            throw new ClientError("No recording path provided", filePath, ErrorCodes.INVALID_ARGUMENT);
+        }
+
+        this.filePath = path.resolve(filePath);
+        this.logger = options.logger ?? Logger.silent;
+        this.closed = false;
+
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+
+        this._stream = fs.createWriteStream(this.filePath, { flags: "a" });
+        this._stream.on("error", err => this._onStreamError(err));
+    }
+
+    record(dir, raw, decoded, k = null, error = null) {
+        if (this.closed) return;
+
+        const entry = {
+            t: Date.now(),
+            k,
+            dir,
+            raw: Buffer.from(raw).toString("base64"),
+            decoded: decoded ?? null
+        };
+
+        if (error !== null) entry.error = String(error?.message ?? error);
+        this._write(entry);
+    }
+
+    mark(event, k = null, data = {}) {
+        if (this.closed) return;
+
+        this._write({
+            t: Date.now(),
+            k,
+            dir: event,
+            ...data
+        });
+    }
+
+    close() {
+        if (this.closed) return Promise.resolve();
+        this.closed = true;
+
+        return new Promise(resolve => this._stream.end(resolve));
+    }
+
+    _write(entry) {
+        this._stream.write(JSON.stringify(entry) + "\n");
+    }
+
+    _onStreamError(err) {
+        this.logger.error("Writing recording failed, recording stopped", { filePath: this.filePath, err });
+        this.closed = true;
+    }
+}
+
+module.exports = {
+    SessionRecorder
+};
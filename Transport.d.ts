@@ -0,0 +1,75 @@
+import { EventEmitter } from "events";
+import { HttpsProxyAgent } from "https-proxy-agent";
+import { SocksProxyAgent } from "socks-proxy-agent";
+import { IRecordEntry } from "./SessionRecorder";
+
+export type TransportData = ArrayBuffer | Uint8Array | Buffer;
+
+export type TransportOptions = {
+    headers?: Record<string, string>;
+    proxy?: string | null;
+    shared?: Record<string, any>;
+    [key: string]: any;
+};
+
+export interface TransportEvents {
+    open: [];
+    message: [data: TransportData];
+    error: [err: Error];
+    close: [code: number];
+}
+
+export declare class Transport extends EventEmitter {
+    url: string;
+    options: TransportOptions;
+
+    constructor(url: string, options?: TransportOptions);
+
+    send(data: TransportData, callback?: (err?: Error) => void): void;
+    close(code?: number): void;
+
+    on<K extends keyof TransportEvents>(event: K, listener: (...args: TransportEvents[K]) => void): this;
+    emit<K extends keyof TransportEvents>(event: K, ...args: TransportEvents[K]): boolean;
+}
+
+export declare class WebSocketTransport extends Transport {
+    static httpProxyProtocols: string[];
+    static socksProxyProtocols: string[];
+
+    static createProxyAgent(proxy: string): HttpsProxyAgent<string> | SocksProxyAgent;
+}
+
+type MemoryTransportOptions = TransportOptions & {
+    autoOpen?: boolean;
+    onOpen?: (transport: MemoryTransport) => void;
+    onSend?: (data: TransportData, transport: MemoryTransport) => void;
+};
+
+export declare class MemoryTransport extends Transport {
+    opened: boolean;
+    closed: boolean;
+
+    constructor(url: string, options?: MemoryTransportOptions);
+
+    open(): void;
+    receive(data: TransportData): void;
+}
+
+type ReplayTransportOptions = MemoryTransportOptions & {
+    recording: string | IRecordEntry[];
+    k?: number | null;
+    speed?: number;
+    onEnd?: (transport: ReplayTransport) => void;
+};
+
+export declare class ReplayTransport extends MemoryTransport {
+    connection: number;
+    entries: IRecordEntry[];
+    startTime: number | null;
+    closeCode: number | null;
+
+    speed: number;
+    position: number;
+
+    constructor(url: string, options: ReplayTransportOptions);
+}
@@ -0,0 +1,231 @@
+"use strict";
+
+const EventEmitter = require("events");
+const WebSocket = require("ws");
+const { HttpsProxyAgent } = require("https-proxy-agent");
+const { SocksProxyAgent } = require("socks-proxy-agent");
+
+const { ErrorCodes, ClientError } = require("./Errors.js");
+const { SessionRecorder } = require("./SessionRecorder.js");
+
+class Transport extends EventEmitter {
+    constructor(url, options = {}) {
+        super();
+
+        this.url = url;
+        this.options = options;
+    }
+
+    send(data, callback) {
+        throw new ClientError(`${this.constructor.name} doesn't implement send`, null, ErrorCodes.INVALID_STATE);
+    }
+
+    close(code) {
+        throw new ClientError(`${this.constructor.name} doesn't implement close`, null, ErrorCodes.INVALID_STATE);
+    }
+}
+
+class WebSocketTransport extends Transport {
+    static httpProxyProtocols = ["http:", "https:"];
+    static socksProxyProtocols = ["socks:", "socks4:", "socks4a:", "socks5:", "socks5h:"];
+
+    static createProxyAgent(proxy) {
+        let protocol;
+
+        try {
+            protocol = new URL(proxy).protocol;
+        } catch (err) {
+            throw new ClientError("Invalid proxy URL provided", err, ErrorCodes.INVALID_ARGUMENT);
+        }
+
+        if (this.httpProxyProtocols.includes(protocol)) return new HttpsProxyAgent(proxy);
+        if (this.socksProxyProtocols.includes(protocol)) return new SocksProxyAgent(proxy);
+
+        throw new ClientError("Unsupported proxy protocol: " + protocol, protocol, ErrorCodes.INVALID_ARGUMENT);
+    }
+
+    constructor(url, options = {}) {
+        super(url, options);
+
+        const proxy = options.proxy ?? null,
+            agent = proxy !== null ? WebSocketTransport.createProxyAgent(proxy) : undefined;
+
+        let ws;
+
+        try {
+            ws = new WebSocket(url, { headers: options.headers ?? {}, agent });
+        } catch (err) {
+            throw new ClientError("Creating websocket failed: " + err.message, err, ErrorCodes.CONNECTION_FAILED);
+        }
+
+        ws.binaryType = "arraybuffer";
+
+        ws.on("open", () => this.emit("open"));
+        ws.on("message", data => this.emit("message", data));
+        ws.on("error", err => {
+            this.emit("error", new ClientError("Websocket error: " + err.message, err, ErrorCodes.CONNECTION_FAILED));
+        });
+        ws.on("close", code => this.emit("close", code));
+
+        this._ws = ws;
+    }
+
+    send(data, callback) {
+        this._ws.send(data, callback);
+    }
+
+    close(code) {
+        this._ws.removeAllListeners();
+        this._ws.on("error", () => {});
+
+        this._ws.close(code);
+    }
+}
+
+class MemoryTransport extends Transport {
+    constructor(url, options = {}) {
+        super(url, options);
+
+        this.opened = false;
+        this.closed = false;
+
+        if (options.autoOpen ?? true) {
+            setImmediate(() => this.open());
+        }
+    }
+
+    open() {
+        if (this.opened || this.closed) return;
+
+        this.opened = true;
+        this.emit("open");
+
+        this.options.onOpen?.(this);
+    }
+
+    receive(data) {
+        if (this.closed) return;
+        this.emit("message", data);
+    }
+
+    send(data, callback) {
+        if (!this.opened || this.closed) {
+            return callback?.(new ClientError("Transport not open", null, ErrorCodes.NOT_CONNECTED));
+        }
+
+        this.options.onSend?.(data, this);
+        callback?.();
+    }
+
+    close(code = 1000) {
+        if (this.closed) return;
+
+        this.closed = true;
+        this.emit("close", code);
+    }
+}
+
+class ReplayTransport extends MemoryTransport {
+    constructor(url, options = {}) {
+        let entries = options.recording;
+        if (typeof entries === "string") entries = SessionRecorder.read(entries);
+
+        if (!Array.isArray(entries)) {
+            throw new ClientError("No recording provided", null, ErrorCodes.INVALID_ARGUMENT);
+        }
+
+        const speed = options.speed ?? 1;
+
+        if (typeof speed !== "number" || !(speed > 0)) {
+            throw new ClientError("Replay speed must be a positive number", speed, ErrorCodes.INVALID_ARGUMENT);
+        }
+
+        super(url, options);
+
+        const k = options.k,
+            connections = ReplayTransport._splitConnections(entries.filter(entry => k == null || entry.k === k));
+
+        const shared = options.shared ?? {},
+            index = shared.replayConnection ?? 0;
+
+        shared.replayConnection = index + 1;
+
+        const connection = connections[index] ?? { startTime: null, entries: [], closeCode: null };
+
+        this.connection = index;
+        this.entries = connection.entries;
+        this.startTime = connection.startTime;
+        this.closeCode = index < connections.length - 1 ? connection.closeCode : null;
+
+        this.speed = speed;
+        this.position = 0;
+
+        this._replayTimeout = null;
+    }
+
+    open() {
+        const wasOpened = this.opened;
+        super.open();
+
+        if (!wasOpened && this.opened) this._scheduleNext();
+    }
+
+    close(code = 1000) {
+        clearTimeout(this._replayTimeout);
+        super.close(code);
+    }
+
+    static _splitConnections(entries) {
+        const connections = [];
+        let current = null;
+
+        for (const entry of entries) {
+            if (entry.dir === "close") {
+                if (current !== null) current.closeCode = entry.code ?? 1006;
+                current = null;
+
+                continue;
+            }
+
+            if (entry.dir === "open" || current === null) {
+                current = { startTime: entry.t, entries: [], closeCode: null };
+                connections.push(current);
+            }
+
+            if (entry.dir === "in") current.entries.push(entry);
+        }
+
+        return connections;
+    }
+
+    _scheduleNext() {
+        if (this.closed) return;
+
+        if (this.position >= this.entries.length) {
+            if (this.closeCode !== null) return this.close(this.closeCode);
+
+            this.emit("end");
+            return this.options.onEnd?.(this);
+        }
+
+        const entry = this.entries[this.position],
+            prevTime = this.entries[this.position - 1]?.t ?? this.startTime ?? entry.t;
+
+        const elapsed = entry.t - prevTime,
+            delay = this.speed === Infinity ? 0 : elapsed / this.speed;
+
+        this._replayTimeout = setTimeout(() => {
+            this.position++;
+
+            this.receive(entry.raw);
+            this._scheduleNext();
+        }, delay);
+    }
+}
+
+module.exports = {
+    Transport,
+    WebSocketTransport,
+    MemoryTransport,
+    ReplayTransport
+};
@@ -0,0 +1,97 @@
+const { Board, PieceTypes } = require("./ChessClient.js");
+
+const center = [4000, 4000],
+    iterations = 200;
+
+function populateBoard() {
+    const board = new Board(center),
+        pieceTypes = Object.values(PieceTypes).filter(type => typeof type === "number");
+
+    let id = 1;
+
+    for (let y = board.topY; y <= board.bottomY; y++) {
+        for (let x = board.leftX; x <= board.rightX; x++) {
+            board.set(x, y, {
+                id: id++,
+                type: pieceTypes[id % pieceTypes.length],
+                isWhite: id % 2 === 0
+            });
+        }
+    }
+
+    return board;
+}
+
+function linearGetById(board, id) {
+    for (const piece of board.values()) {
+        if (piece.id === id) return piece;
+    }
+
+    return null;
+}
+
+function linearFindInArea(board, type, color, x1, y1, w, h) {
+    const x2 = x1 + w - 1,
+        y2 = y1 + h - 1;
+
+    for (const [[a, b], piece] of board.entries()) {
+        if (piece._type !== type || piece._color !== color) continue;
+        if (a >= x1 && b >= y1 && a <= x2 && b <= y2) return piece;
+    }
+
+    return null;
+}
+
+function measure(name, func) {
+    const start = process.hrtime.bigint();
+
+    for (let i = 0; i < iterations; i++) func(i);
+
+    const elapsed = Number(process.hrtime.bigint() - start) / 1e6;
+    console.log(`${name.padEnd(28)} ${elapsed.toFixed(2).padStart(10)} ms (${iterations} iterations)`);
+
+    return elapsed;
+}
+
+function compare(name, linearFunc, indexedFunc) {
+    const linear = measure(`${name} (linear)`, linearFunc),
+        indexed = measure(`${name} (indexed)`, indexedFunc);
+
+    console.log(`${name} speedup: ${(linear / indexed).toFixed(1)}x\n`);
+}
+
+function main() {
+    const board = populateBoard();
+    console.log(`Board populated with ${board.size} pieces.\n`);
+
+    const lastId = board.size,
+        getId = i => lastId - (i % 100);
+
+    compare(
+        "getById",
+        i => linearGetById(board, getId(i)),
+        i => board.getById(getId(i))
+    );
+
+    const getCorner = i => {
+        const offset = (i % 10) * Board.boardSize;
+        return [board.leftX + offset + 4, board.topY + offset + 4];
+    };
+
+    compare(
+        "findInBoard",
+        i => {
+            const [x, y] = Board.getBoardCorner(...getCorner(i));
+            return linearFindInArea(board, PieceTypes.PIECE_TYPE_KING, 1, x, y, Board.boardSize, Board.boardSize);
+        },
+        i => board.findInBoard(PieceTypes.PIECE_TYPE_KING, 1, ...getCorner(i))
+    );
+
+    compare(
+        "findInArea (missing)",
+        () => linearFindInArea(board, PieceTypes.PIECE_TYPE_KING, 1, center[0], center[1], 1, 1),
+        () => board.findInArea(PieceTypes.PIECE_TYPE_KING, 1, center[0], center[1], 1, 1)
+    );
+}
+
+main();
@@ -0,0 +1,171 @@
+"use strict";
+
+const helpArgs = ["-h", "--help"];
+
+class ArgumentError extends Error {
+    constructor(message, command = null) {
+        super(message);
+
+        this.name = "ArgumentError";
+        this.command = command;
+    }
+}
+
+const flagParsers = {
+    int: value => {
+        const num = Number(value);
+        return Number.isInteger(num) ? num : undefined;
+    },
+
+    number: value => {
+        const num = Number(value);
+        return value.length > 0 && Number.isFinite(num) ? num : undefined;
+    },
+
+    string: value => value,
+
+    boolean: value => {
+        if (["true", "1", "yes"].includes(value)) return true;
+        if (["false", "0", "no"].includes(value)) return false;
+    }
+};
+
+function toCamelCase(name) {
+    return name.replace(/-([a-z0-9])/g, (_, char) => char.toUpperCase());
+}
+
+function formatFlag(name, flag) {
+    return flag.type === "boolean" ? `--${name}` : `--${name} <${flag.type}>`;
+}
+
+function formatColumns(rows) {
+    const width = Math.max(...rows.map(([left]) => left.length)) + 2;
+    return rows.map(([left, right]) => `    ${left.padEnd(width)}${right}`).join("\n");
+}
+
+function formatUsage(program, commands) {
+    const rows = Object.entries(commands).map(([name, command]) => [name, command.description ?? ""]);
+
+    return `Usage: ${program} <command> [options]
+
+Commands:
+${formatColumns(rows)}
+
+Run "${program} <command> --help" to list the options of a command.`;
+}
+
+function formatCommandUsage(program, name, command) {
+    const rows = Object.entries(command.flags ?? {}).map(([flagName, flag]) => {
+        const defaultValue = flag.default != null ? ` (default: ${flag.default})` : "";
+        return [formatFlag(flagName, flag), (flag.description ?? "") + defaultValue];
+    });
+
+    rows.push([helpArgs.join(", "), "Show this help"]);
+
+    const description = command.description ? `\n\n${command.description}` : "";
+    return `Usage: ${program} ${name} [options]${description}\n\nOptions:\n${formatColumns(rows)}`;
+}
+
+function parseFlags(args, name, command) {
+    const flags = command.flags ?? {},
+        values = {},
+        given = {};
+
+    for (const [flagName, flag] of Object.entries(flags)) {
+        values[toCamelCase(flagName)] = flag.default ?? null;
+    }
+
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+
+        if (!arg.startsWith("--")) {
+            throw new ArgumentError(`Unexpected argument: "${arg}"`, name);
+        }
+
+        let [flagName, value] = arg.slice(2).split(/=(.*)/s);
+        let flag = flags[flagName];
+
+        if (typeof flag === "undefined" && flagName.startsWith("no-") && typeof value === "undefined") {
+            flag = flags[flagName.slice(3)];
+
+            if (flag?.type === "boolean") {
+                flagName = flagName.slice(3);
+                value = "false";
+            } else {
+                flag = undefined;
+            }
+        }
+
+        if (typeof flag === "undefined") {
+            throw new ArgumentError(`Unknown option: --${flagName}`, name);
+        }
+
+        if (typeof value === "undefined") {
+            if (flag.type === "boolean") {
+                value = "true";
+            } else if (i + 1 < args.length && !args[i + 1].startsWith("--")) {
+                value = args[++i];
+            } else {
+                throw new ArgumentError(`Missing value for option: --${flagName}`, name);
+            }
+        }
+
+        const parsed = flagParsers[flag.type](value);
+
+        if (typeof parsed === "undefined") {
+            throw new ArgumentError(`--${flagName} must be a valid ${flag.type}, got: "${value}"`, name);
+        }
+
+        given[toCamelCase(flagName)] = parsed;
+    }
+
+    Object.assign(values, given);
+
+    for (const [flagName, flag] of Object.entries(flags)) {
+        const value = values[toCamelCase(flagName)];
+
+        if (flag.required && value === null) {
+            throw new ArgumentError(`Missing required option: --${flagName}`, name);
+        }
+
+        if (value !== null && typeof flag.min === "number" && value < flag.min) {
+            throw new ArgumentError(`--${flagName} must be at least ${flag.min}`, name);
+        }
+
+        if (value !== null && typeof flag.above === "number" && value <= flag.above) {
+            throw new ArgumentError(`--${flagName} must be greater than ${flag.above}`, name);
+        }
+    }
+
+    return { values, given };
+}
+
+function parseCommandLine(program, commands, argv = process.argv.slice(2)) {
+    const [name, ...args] = argv;
+
+    if (typeof name === "undefined" || helpArgs.includes(name)) {
+        return { help: formatUsage(program, commands) };
+    }
+
+    const command = commands[name];
+
+    if (typeof command === "undefined") {
+        throw new ArgumentError(`Unknown command: "${name}"`);
+    }
+
+    if (helpArgs.some(help => args.includes(help))) {
+        return { name, command, help: formatCommandUsage(program, name, command) };
+    }
+
+    const { values, given } = parseFlags(args, name, command);
+    return { name, command, flags: values, given };
+}
+
+module.exports = {
+    ArgumentError,
+
+    formatUsage,
+    formatCommandUsage,
+
+    parseCommandLine
+};
@@ -0,0 +1,284 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+
+const envPrefix = "OMCB_";
+const defaultConfigPath = "./config.json";
+
+class ConfigError extends Error {
+    constructor(message, key = null) {
+        super(message);
+
+        this.name = "ConfigError";
+        this.key = key;
+    }
+}
+
+const configSchema = {
+    userAgent: { type: "string" },
+    cookies: { type: "cookies" },
+    cookiesFile: { type: "string" },
+
+    scheme: { type: "string", values: ["ws", "wss"] },
+    host: { type: "string" },
+    path: { type: "string" },
+
+    proxies: { type: "list" },
+
+    maxRps: { type: "number", above: 0 },
+    moveRate: { type: "number", above: 0 },
+    viewRate: { type: "number", above: 0 },
+
+    reconnectDelay: { type: "int", min: 0 },
+    maxReconnectDelay: { type: "int", min: 0 },
+    maxRetryCount: { type: "int", min: 0 },
+
+    poolSize: { type: "int", min: 1, flag: "clients" }
+};
+
+function toEnvName(key) {
+    return envPrefix + key.replace(/([a-z0-9])([A-Z])/g, "$1_$2").toUpperCase();
+}
+
+function parseCookieHeader(header) {
+    const cookies = {};
+
+    for (const pair of header.split(";").map(item => item.trim())) {
+        const i = pair.indexOf("=");
+        if (i < 1) continue;
+
+        cookies[pair.slice(0, i).trim()] = pair.slice(i + 1).trim();
+    }
+
+    return cookies;
+}
+
+function parseCookiesTxt(text, host = null) {
+    const now = Date.now() / 1000,
+        cookies = {};
+
+    for (let line of text.split(/\r?\n/)) {
+        if (line.startsWith("#HttpOnly_")) line = line.slice("#HttpOnly_".length);
+        if (line.length < 1 || line.startsWith("#")) continue;
+
+        const fields = line.split("\t");
+        if (fields.length < 7) continue;
+
+        const [domain, , , , expires, name, value] = fields,
+            expiry = Number(expires);
+
+        if (expiry > 0 && expiry < now) continue;
+
+        if (host !== null) {
+            const cookieDomain = domain.replace(/^\./, "");
+            if (host !== cookieDomain && !host.endsWith("." + cookieDomain)) continue;
+        }
+
+        cookies[name] = value;
+    }
+
+    return cookies;
+}
+
+function dropEmptyCookies(cookies) {
+    return Object.fromEntries(Object.entries(cookies).filter(([, value]) => value.length > 0));
+}
+
+function readCookiesTxt(filePath, host = null) {
+    let text;
+
+    try {
+        text = fs.readFileSync(filePath, "utf8");
+    } catch (err) {
+        throw new ConfigError(`Reading cookies file failed: ${err.message}`, "cookiesFile");
+    }
+
+    return parseCookiesTxt(text, host);
+}
+
+function readConfigFile(filePath, required = true) {
+    let text;
+
+    try {
+        text = fs.readFileSync(filePath, "utf8");
+    } catch (err) {
+        if (!required && err.code === "ENOENT") return {};
+        throw new ConfigError(`Reading config file failed: ${err.message}`);
+    }
+
+    let config;
+
+    try {
+        config = JSON.parse(text);
+    } catch (err) {
+        throw new ConfigError(`Parsing config file ${filePath} failed: ${err.message}`);
+    }
+
+    if (config === null || typeof config !== "object" || Array.isArray(config)) {
+        throw new ConfigError(`Config file ${filePath} must contain a JSON object`);
+    }
+
+    const unknown = Object.keys(config).filter(key => !(key in configSchema));
+
+    if (unknown.length > 0) {
+        throw new ConfigError(`Unknown config keys in ${filePath}: ${unknown.join(", ")}`, unknown[0]);
+    }
+
+    if (typeof config.cookiesFile === "string") {
+        config.cookiesFile = path.resolve(path.dirname(filePath), config.cookiesFile);
+    }
+
+    return config;
+}
+
+function parseList(value) {
+    return value
+        .split(",")
+        .map(item => item.trim())
+        .filter(item => item.length > 0);
+}
+
+function readEnv(env) {
+    const config = {};
+
+    for (const [key, option] of Object.entries(configSchema)) {
+        const value = env[toEnvName(key)];
+        if (typeof value === "undefined" || value === "") continue;
+
+        config[key] = parseEnvValue(key, option, value);
+    }
+
+    return config;
+}
+
+function parseEnvValue(key, option, value) {
+    switch (option.type) {
+        case "int":
+        case "number": {
+            const num = Number(value);
+
+            if (!Number.isFinite(num)) {
+                throw new ConfigError(`${toEnvName(key)} must be a valid number, got: "${value}"`, key);
+            }
+
+            return num;
+        }
+        case "cookies":
+            return parseCookieHeader(value);
+        case "list":
+            return parseList(value);
+        default:
+            return value;
+    }
+}
+
+function readFlags(flags) {
+    const config = {};
+
+    for (const [key, option] of Object.entries(configSchema)) {
+        const value = flags[option.flag ?? key];
+        if (typeof value === "undefined" || value === null) continue;
+
+        config[key] = option.type === "list" && typeof value === "string" ? parseList(value) : value;
+    }
+
+    return config;
+}
+
+function validateConfig(config) {
+    for (const [key, value] of Object.entries(config)) {
+        const option = configSchema[key];
+        if (value === null) continue;
+
+        switch (option.type) {
+            case "string":
+                if (typeof value !== "string" || value.length < 1) {
+                    throw new ConfigError(`${key} must be a non-empty string`, key);
+                }
+                break;
+            case "int":
+            case "number":
+                if (typeof value !== "number" || !Number.isFinite(value)) {
+                    throw new ConfigError(`${key} must be a number`, key);
+                }
+
+                if (option.type === "int" && !Number.isInteger(value)) {
+                    throw new ConfigError(`${key} must be an integer`, key);
+                }
+                break;
+            case "list":
+                if (!Array.isArray(value) || value.some(item => typeof item !== "string" || item.length < 1)) {
+                    throw new ConfigError(`${key} must be a list of non-empty strings`, key);
+                }
+                break;
+            case "cookies":
+                if (typeof value !== "object" || Array.isArray(value)) {
+                    throw new ConfigError(`${key} must be an object of cookie names and values`, key);
+                }
+
+                for (const [name, cookie] of Object.entries(value)) {
+                    if (typeof cookie !== "string") throw new ConfigError(`Cookie ${name} must be a string`, key);
+                }
+                break;
+        }
+
+        if (typeof option.min === "number" && value < option.min) {
+            throw new ConfigError(`${key} must be at least ${option.min}`, key);
+        }
+
+        if (typeof option.above === "number" && value <= option.above) {
+            throw new ConfigError(`${key} must be greater than ${option.above}`, key);
+        }
+
+        if (typeof option.values !== "undefined" && !option.values.includes(value)) {
+            throw new ConfigError(`${key} must be one of: ${option.values.join(", ")}`, key);
+        }
+    }
+
+    return config;
+}
+
+function loadConfig(options = {}) {
+    const env = options.env ?? process.env,
+        flags = options.flags ?? {},
+        defaultFlags = options.defaultFlags ?? {};
+
+    const configPath = options.path ?? env[envPrefix + "CONFIG"] ?? null,
+        fileConfig = readConfigFile(configPath ?? defaultConfigPath, configPath !== null);
+
+    const layers = [readFlags(defaultFlags), fileConfig, readEnv(env), readFlags(flags)].map(validateConfig),
+        config = {};
+
+    for (const key of Object.keys(configSchema)) config[key] = null;
+
+    for (const layer of layers) {
+        for (const [key, value] of Object.entries(layer)) {
+            if (value === null) continue;
+
+            // Empty values are placeholders and must not shadow cookies from other layers or the cookies file
+            config[key] = key === "cookies" ? { ...config.cookies, ...dropEmptyCookies(value) } : value;
+        }
+    }
+
+    if (config.cookiesFile !== null) {
+        const host = (config.host ?? options.host ?? null)?.split(":")[0] ?? null,
+            fileCookies = readCookiesTxt(config.cookiesFile, host);
+
+        config.cookies = { ...fileCookies, ...config.cookies };
+    }
+
+    return config;
+}
+
+module.exports = {
+    ConfigError,
+    configSchema,
+
+    toEnvName,
+
+    parseCookieHeader,
+    parseCookiesTxt,
+
+    loadConfig
+};
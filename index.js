@@ -1,11 +1,16 @@
 const fs = require("fs");
 const path = require("path");
 
-const { ChessClient, Board, PieceTypes } = require("./ChessClient.js");
+const { ChessClient, Board, PieceTypes, MoveTypes, ErrorCodes, RetryPolicy } = require("./ChessClient.js");
+const { ClientPool } = require("./ClientPool.js");
+const { RateLimiter } = require("./RateLimiter.js");
+const { Logger } = require("./Logger.js");
+const { MetricsServer } = require("./Metrics.js");
 const ImgUtil = require("./img-utils.js");
+const { ArgumentError, formatUsage, formatCommandUsage, parseCommandLine } = require("./cli-args.js");
+const { ConfigError, loadConfig } = require("./config-loader.js");
 
-ChessClient.UserAgent = "Mozilla/5.0 (Windows NT 10.0; Win64; x64; rv:138.0) Gecko/20100101 Firefox/138.0";
-ChessClient.Cookies["cf_clearance"] = "";
+ChessClient.logger = new Logger({ level: "info" });
 
 const globalHandler = false;
 
@@ -17,170 +22,197 @@ if (globalHandler) {
 const maxRetryCount = 3;
 const reconnectCount = 100;
 
-let stopAll = false;
+const viewRetryPolicy = new RetryPolicy({
+    maxRetries: maxRetryCount,
+    delay: 10000,
+    jitter: 3000
+});
+
+const moveRetryPolicy = new RetryPolicy({
+    maxRetries: maxRetryCount,
+    delay: 2000,
+    jitter: 3000,
+    codes: [ErrorCodes.INVALID_MOVE, ErrorCodes.MOVE_TIMEOUT]
+});
+
+async function moveViewWithRetry(client, x, y, pref, options) {
+    return await viewRetryPolicy.run(
+        () => client.moveView(x, y, options),
+        (err, retries) => console.log(`${pref} retrying view: ${retries} ; ${x},${y}`)
+    );
+}
 
-async function captureLoop(k, x0, y0, count, maxX) {
-    const client = new ChessClient(x0, y0, "white", {
-        k,
-        maxRetryCount: 1,
-        maxRPS: 1.5
-    });
+const captureSteps = [
+    [1, 7, -1, -2],
+    [0, 5, 1, -2],
+    [1, 3, 1, -2],
+    [2, 1, 2, -1]
+];
 
-    const reconnectClient = async () => {
-        console.log(`(${k}): reconnecting`);
-        client.disconnect();
+const imageCaptureSteps = [[4, 8, -2, 1], [2, 9, -1, -2], ...captureSteps];
 
-        client.x0 = boardX;
-        client.y0 = boardY;
+async function runKnightSteps(client, boardX, boardY, steps, options) {
+    const king = client.board.get(boardX + 4, boardY);
+    if (king?._type !== PieceTypes.PIECE_TYPE_KING) return false;
 
-        await ChessClient.delay(10000);
-        await client.init();
-        await ChessClient.delay(3000);
-    };
+    let captured = false;
 
-    await client.init();
-    await ChessClient.delay(1000);
+    for (const [x, y, dx, dy] of steps) {
+        const knight = client.board.get(boardX + x, boardY + y);
 
-    let i, j;
-    let boardX, boardY;
+        if (knight !== null && knight._type === PieceTypes.PIECE_TYPE_KNIGHT) {
+            const toX = knight.x + dx,
+                toY = knight.y + dy;
 
-    for (j = 0, boardY = y0; j < count; j++, boardY += 8) {
-        if (j > 0) {
-            await reconnectClient();
+            const result = await client.movePiece(knight, toX, toY, MoveTypes.MOVE_TYPE_NORMAL, options);
+            captured = result.capturedPieceId === king.id;
         }
+    }
 
-        const pref = `(${k}) ${i}.`;
-        let successes = 0;
+    return captured;
+}
 
-        for (i = 0, boardX = x0; boardX <= maxX; i++, boardX += 8) {
-            if (stopAll) {
-                await new Promise(resolve => setInterval(() => (!stopAll ? resolve() : void 0)), 100);
-                await ChessClient.delay(ChessClient._getRetryTime(5000, 10000, true));
-            }
+async function captureRow(client, task, pool) {
+    const { boardY, maxX } = task,
+        k = client.k,
+        options = { signal: pool.signal };
 
-            let failed = true;
-
-            try {
-                await (async () => {
-                    if (client.board.get(boardX + 4, boardY)?._type !== PieceTypes.PIECE_TYPE_KING) return;
-
-                    const doMove = async () => {
-                        failed = true;
-
-                        let knight = client.board.get(boardX + 1, boardY + 7);
-                        if (knight !== null && knight._type === PieceTypes.PIECE_TYPE_KNIGHT) {
-                            await client.movePiece(knight, knight.x - 1, knight.y - 2);
-                        }
-
-                        knight = client.board.get(boardX, boardY + 5);
-                        if (knight !== null && knight._type === PieceTypes.PIECE_TYPE_KNIGHT) {
-                            await client.movePiece(knight, knight.x + 1, knight.y - 2);
-                        }
-
-                        knight = client.board.get(boardX + 1, boardY + 3);
-                        if (knight !== null && knight._type === PieceTypes.PIECE_TYPE_KNIGHT) {
-                            await client.movePiece(knight, knight.x + 1, knight.y - 2);
-                        }
-
-                        knight = client.board.get(boardX + 2, boardY + 1);
-                        if (knight !== null && knight._type === PieceTypes.PIECE_TYPE_KNIGHT) {
-                            await client.movePiece(knight, knight.x + 2, knight.y - 1);
-                            failed = false;
-                        }
-                    };
-
-                    let retries = 0;
-
-                    while (true) {
-                        try {
-                            return await doMove();
-                        } catch (err) {
-                            if (
-                                !["Invalid", "timed out"].some(msg => err.message.includes(msg)) ||
-                                ++retries > maxRetryCount
-                            ) {
-                                throw err;
-                            }
-
-                            console.log(`(${k}) ${i}. retrying move: ${retries} ; ${boardX},${boardY}`, err.message);
-                            await ChessClient.delay(ChessClient._getRetryTime(2000, 3000, true));
-
-                            if (retries > 1) {
-                                stopAll = true;
-                                await reconnectClient();
-
-                                await ChessClient.delay(ChessClient._getRetryTime(15000, 3000, true));
-                                stopAll = false;
-                            }
-                        }
-                    }
-                })();
-            } catch (err) {
-                console.error(pref, err?.message);
-            }
+    let successes = 0;
 
-            successes += Number(!failed);
-            if (!failed) console.log(`${pref} ${boardX},${boardY} - success`);
-
-            if (successes % reconnectCount === reconnectCount - 1) {
-                await reconnectClient();
-                successes++;
-            } else if (boardX - client.board.centerX > ChessClient._minViewDist) {
-                let retries = 0;
-
-                while (true) {
-                    try {
-                        await client.moveView(boardX, boardY);
-                        await ChessClient.delay(failed ? 300 : 1000);
-                        break;
-                    } catch (err) {
-                        if (++retries > maxRetryCount) throw err;
-
-                        console.log(`${pref} retrying view: ${retries} ; ${boardX},${boardY}`);
-                        await ChessClient.delay(ChessClient._getRetryTime(10000, 3000, true));
-                    }
-                }
-            } else {
-                await ChessClient.delay(ChessClient._getRetryTime(failed ? 300 : 500, 600, false));
-            }
+    for (; task.x <= maxX; task.x += 8) {
+        await pool.waitIfPaused();
+
+        const boardX = task.x,
+            pref = `(${k}) ${boardX},${boardY}.`;
+
+        if (Board.distance(boardX, boardY, client.board.centerX, client.board.centerY) > ChessClient.minViewDist) {
+            await moveViewWithRetry(client, boardX, boardY, pref, options);
+            await ChessClient.delay(300);
         }
+
+        const captured = await moveRetryPolicy.run(
+            () => runKnightSteps(client, boardX, boardY, captureSteps, options),
+            (err, retries) => console.log(`${pref} retrying move: ${retries}`, err.message)
+        );
+
+        if (captured) {
+            console.log(`${pref} - success`);
+            successes++;
+        }
+
+        if (successes % reconnectCount === reconnectCount - 1) {
+            console.log(`(${k}): reconnecting`);
+
+            client.disconnect();
+            await ChessClient.delay(10000);
+            await client.init();
+
+            successes++;
+        }
+
+        await ChessClient.delay(ChessClient._getRetryTime(captured ? 500 : 300, 600, false));
     }
+}
 
-    client.destroy();
+async function startMetricsServer(pool, metricsPort) {
+    if (metricsPort === null) return null;
+
+    const server = new MetricsServer(() => pool.getMetricSources(), { port: metricsPort });
+    await server.listen();
+
+    console.log(`Serving metrics on ${server.url}`);
+    return server;
 }
 
-const outDir = "./out";
+function logProxyHealth(pool) {
+    pool.on("proxyUnhealthy", ({ proxy, err }) => console.error(`Proxy ${proxy} unhealthy:`, err.message));
+    pool.on("proxyRecovered", ({ proxy }) => console.log(`Proxy ${proxy} recovered`));
+}
 
-async function main1() {
-    const [x0, y0] = [8, 112],
-        n = 15;
+function stopOnInterrupt(pool) {
+    process.once("SIGINT", () => {
+        console.log("Stopping clients, press Ctrl-C again to exit.");
+        pool.stop();
+    });
+}
 
-    const count = Math.ceil(1000 / n),
-        tasks = [];
+function logPoolStats(pool) {
+    const { total } = pool.stats(),
+        formatMs = value => (value === null ? "-" : value.toFixed(0) + "ms");
 
-    for (let i = 0; i < n; i++) {
-        const y = y0 + count * i * 8;
-        tasks.push(captureLoop(i, x0, y, count, 7999).catch(err => console.error(err)));
+    console.log(
+        `Moves: ${total.movesConfirmed}/${total.movesSent} confirmed, ${total.movesInvalid} invalid, ` +
+            `${total.moveTimeouts} timed out ; reconnects: ${total.reconnects}`
+    );
 
-        await ChessClient.delay(ChessClient._getRetryTime(5000, 2000, false));
+    console.log(
+        `Latency: move ${formatMs(total.moveLatency.mean)}, view ${formatMs(total.viewLatency.mean)}, ` +
+            `ping ${formatMs(total.pingRtt.mean)}`
+    );
+}
+
+function applyConfig(config) {
+    if (config.userAgent !== null) ChessClient.UserAgent = config.userAgent;
+    Object.assign(ChessClient.Cookies, config.cookies);
+
+    for (const key of ["scheme", "host", "path"]) {
+        if (config[key] !== null) ChessClient[key] = config[key];
     }
+}
 
-    await Promise.all(tasks);
-    console.log("All clients finished.");
+function getClientOptions(config) {
+    const options = {
+        maxRPS: config.maxRps,
+        maxRetryCount: config.maxRetryCount,
+        reconnectDelay: config.reconnectDelay,
+        maxReconnectDelay: config.maxReconnectDelay
+    };
+
+    return Object.fromEntries(Object.entries(options).filter(([, value]) => value !== null));
 }
 
-const size = 8000,
-    range = 95,
-    radius = 47;
+async function captureKnights(args, config) {
+    const tasks = Array.from({ length: args.rows }, (_, i) => ({
+        x: args.x,
+        boardY: args.y + i * Board.boardSize,
+        maxX: args.maxX
+    })).filter(task => Board.centerInBounds(task.x, task.boardY));
 
-async function processStripe(k, yStart, yEnd) {
-    const client = new ChessClient(Board.minCenter, "white", {
-        k,
-        maxRetryCount: 1
+    const rateLimiter = new RateLimiter({
+        budgets: { move: config.moveRate, subscribe: config.viewRate }
     });
 
-    await client.init();
-    await ChessClient.delay(1000);
+    const pool = new ClientPool({
+        size: config.poolSize,
+        pauseTime: args.pauseTime,
+        proxies: config.proxies ?? [],
+        createClient: (k, task, proxy) =>
+            new ChessClient(task.x, task.boardY, "white", {
+                ...getClientOptions(config),
+                k,
+                proxy,
+                requireColor: true,
+                rateLimiter
+            })
+    });
+
+    pool.on("taskError", ({ k, task, err }) => console.error(`(${k}) ${task.x},${task.boardY}.`, err?.message));
+    logProxyHealth(pool);
+    stopOnInterrupt(pool);
+    rateLimiter.on("backoff", ({ scale, reason }) => console.log(`Backing off to ${scale.toFixed(2)}x (${reason})`));
+
+    const metricsServer = await startMetricsServer(pool, args.metricsPort);
+
+    await pool.run(tasks, captureRow);
+    console.log("All clients finished.");
+
+    logPoolStats(pool);
+    await metricsServer?.close();
+}
+
+async function processStripe(client, task, pool) {
+    const { k, yStart, yEnd, size, range, radius, outDir } = task,
+        options = { signal: pool.signal };
 
     const outPath = path.resolve(outDir, `board_output_${k}.json`),
         writeStream = fs.createWriteStream(outPath);
@@ -196,51 +228,42 @@ async function processStripe(k, yStart, yEnd) {
         return steps;
     };
 
-    const xSteps = getSteps(radius, size - radius, range, 7997),
-        ySteps = getSteps(yStart, Math.min(yEnd, size) - radius, range, 7997);
+    const xSteps = getSteps(radius, size - radius, range, Board.maxCenterCoords),
+        ySteps = getSteps(yStart, Math.min(yEnd, size) - radius, range, Board.maxCenterCoords);
 
     let i = 0;
 
-    for (const y of ySteps) {
-        for (const x of xSteps) {
-            const pref = `(${k}) ${i}.`;
-            console.log(pref, x, y);
-
-            let retries = 0;
+    try {
+        for (const y of ySteps) {
+            for (const x of xSteps) {
+                await pool.waitIfPaused();
 
-            while (true) {
-                try {
-                    await client.moveView(x, y);
-                    break;
-                } catch (err) {
-                    if (++retries > maxRetryCount) throw err;
+                const pref = `(${k}) ${i}.`;
+                console.log(pref, x, y);
 
-                    console.log(`${pref} retrying view: ${retries} ; ${x},${y}`);
-                    await ChessClient.delay(ChessClient._getRetryTime(10000, 3000, true));
-                }
-            }
+                await moveViewWithRetry(client, x, y, pref, options);
 
-            const jsonPrefix = `${i === 0 ? "" : ",\n"}`,
-                key = `"${x},${y}"`,
-                value = client.board.toString(false);
+                const jsonPrefix = `${i === 0 ? "" : ",\n"}`,
+                    key = `"${x},${y}"`,
+                    value = client.board.toString(false);
 
-            writeStream.write(`${jsonPrefix}    ${key}: ${value}`);
-            i++;
+                writeStream.write(`${jsonPrefix}    ${key}: ${value}`);
+                i++;
 
-            await ChessClient.delay(1000);
+                await ChessClient.delay(1000);
+            }
         }
+    } finally {
+        writeStream.write("\n}\n");
+        await new Promise(resolve => writeStream.end(resolve));
     }
 
-    writeStream.write("\n}\n");
-    writeStream.end(() => {
-        console.log(`All board data written to ${outPath}`);
-    });
-
-    client.destroy();
+    console.log(`All board data written to ${outPath}`);
 }
 
-async function main2() {
-    const count = 18,
+async function scan(args, config) {
+    const { size, range, radius, out: outDir } = args,
+        count = config.poolSize,
         tasks = [];
 
     const stripeHeight = Math.floor((size - radius) / count);
@@ -249,16 +272,42 @@ async function main2() {
         const yStart = radius + i * stripeHeight,
             yEnd = i === count - 1 ? size : radius + (i + 1) * stripeHeight;
 
-        tasks.push(processStripe(i, yStart, yEnd));
-        await ChessClient.delay(ChessClient._getRetryTime(5000, 2000, false));
+        tasks.push({ k: i, yStart, yEnd, size, range, radius, outDir });
     }
 
-    await Promise.all(tasks);
+    fs.mkdirSync(outDir, { recursive: true });
+
+    const rateLimiter = new RateLimiter({
+        budgets: { subscribe: config.viewRate }
+    });
+
+    const pool = new ClientPool({
+        size: count,
+        proxies: config.proxies ?? [],
+        createClient: (k, task, proxy) =>
+            new ChessClient(Board.minCenter, "white", {
+                ...getClientOptions(config),
+                k,
+                proxy,
+                rateLimiter
+            })
+    });
+
+    pool.on("taskError", ({ k, task, err }) => console.error(`(${k}) stripe ${task.k}:`, err?.message));
+    logProxyHealth(pool);
+    stopOnInterrupt(pool);
+
+    const metricsServer = await startMetricsServer(pool, args.metricsPort);
+
+    await pool.run(tasks, processStripe);
     console.log("All clients finished.");
+
+    logPoolStats(pool);
+    await metricsServer?.close();
 }
 
-async function parseBoards() {
-    const [buf, width, height] = await ImgUtil.readImgPNG("./output.png"),
+async function parseBoards(imagePath) {
+    const [buf, width, height] = await ImgUtil.readImgPNG(imagePath),
         boards = [];
 
     for (let y = 0; y < height; y++) {
@@ -275,92 +324,185 @@ async function parseBoards() {
     return boards;
 }
 
-async function main3() {
-    const boards = await parseBoards();
+async function captureFromImage(args, config) {
+    const boards = await parseBoards(args.image);
 
-    const client = new ChessClient(2, 2, "white", {
-        maxRetryCount: 1,
-        maxRPS: 1.5
+    const client = new ChessClient(args.x, args.y, "white", {
+        ...getClientOptions(config),
+        proxy: config.proxies?.[0] ?? null,
+        requireColor: true
     });
     await client.init();
 
-    let prev = { x: 2, y: 2 };
+    let prev = { x: args.x, y: args.y };
     for (const [i, board] of boards.entries()) {
+        const viewX = Math.max(Board.minCenterCoords, board.x);
+
+        if (!Board.centerInBounds(viewX, board.y)) {
+            console.log(`${i}: ${board.x},${board.y} - out of bounds, skipped`);
+            continue;
+        }
+
         if (Board.distance(board.x, board.y, prev.x, prev.y) > ChessClient.minViewDist) {
-            await client.moveView(Math.max(2, board.x), board.y);
+            await client.moveView(viewX, board.y);
         }
 
-        let failed;
-        const doMove = async () => {
-            failed = true;
+        let captured = false;
 
-            if (client.board.get(board.x + 4, board.y)?._type !== PieceTypes.PIECE_TYPE_KING) return;
+        try {
+            captured = await runKnightSteps(client, board.x, board.y, imageCaptureSteps);
+        } catch (err) {}
+        if (captured) console.log(`${i}: ${board.x},${board.y} - success`);
 
-            let knight = client.board.get(board.x + 4, board.y + 8);
-            if (knight !== null && knight._type === PieceTypes.PIECE_TYPE_KNIGHT) {
-                await client.movePiece(knight, knight.x - 2, knight.y + 1);
-            }
+        await ChessClient.delay(args.delay);
+        prev = board;
+    }
 
-            knight = client.board.get(board.x + 2, board.y + 9);
-            if (knight !== null && knight._type === PieceTypes.PIECE_TYPE_KNIGHT) {
-                await client.movePiece(knight, knight.x - 1, knight.y - 2);
-            }
+    client.destroy();
+}
 
-            knight = client.board.get(board.x + 1, board.y + 7);
-            if (knight !== null && knight._type === PieceTypes.PIECE_TYPE_KNIGHT) {
-                await client.movePiece(knight, knight.x - 1, knight.y - 2);
+const metricsPortFlag = {
+    type: "int",
+    min: 0,
+    description: "Serve Prometheus metrics on this local port"
+};
+
+const configFlags = {
+    config: { type: "string", description: "JSON config file (default: ./config.json if present)" },
+    "user-agent": { type: "string", description: "User agent sent with the websocket handshake" },
+    "cookies-file": { type: "string", description: "Netscape cookies.txt export to read cookies from" },
+    scheme: { type: "string", description: "Server scheme, ws or wss" },
+    host: { type: "string", description: "Server host" },
+    path: { type: "string", description: "Server websocket path" },
+    proxies: { type: "string", description: "Comma separated HTTP or SOCKS5 proxy URLs, one egress each" },
+    "reconnect-delay": { type: "int", min: 0, description: "Base reconnect delay, ms" },
+    "max-reconnect-delay": { type: "int", min: 0, description: "Reconnect backoff cap, ms" },
+    "max-retry-count": { type: "int", default: 1, min: 0, description: "Send and reconnect retries per client" }
+};
+
+const commands = {
+    "capture-knights": {
+        description: "Capture kings with knight moves, walking rows of boards from left to right.",
+        flags: {
+            x: { type: "int", default: 8, description: "Board x of the first column" },
+            y: { type: "int", default: 112, description: "Board y of the first row" },
+            rows: { type: "int", default: 1000, min: 1, description: "Number of rows to walk" },
+            "max-x": { type: "int", default: 7999, description: "Last board x of each row" },
+            clients: { type: "int", default: 15, min: 1, description: "Number of concurrent clients" },
+            "max-rps": { type: "number", default: 1.5, above: 0, description: "Requests per second per client" },
+            "move-rate": { type: "number", default: 8, above: 0, description: "Shared move budget per second" },
+            "view-rate": { type: "number", default: 2, above: 0, description: "Shared view move budget per second" },
+            "pause-time": { type: "int", default: 5000, min: 0, description: "Pool pause after systemic errors, ms" },
+            "metrics-port": metricsPortFlag,
+            ...configFlags
+        },
+        validate: args => {
+            validateCenter("--x/--y", args.x, args.y);
+            if (args.maxX < args.x) throw new ArgumentError("--max-x must not be less than --x");
+
+            const lastX = args.x + Math.floor((args.maxX - args.x) / Board.boardSize) * Board.boardSize;
+            validateCenter("--max-x", lastX, args.y);
+        },
+        run: captureKnights
+    },
+
+    scan: {
+        description: "Scan the whole board in horizontal stripes and write the pieces to JSON files.",
+        flags: {
+            size: { type: "int", default: Board.totalSize, min: 1, description: "Side length of the scanned area" },
+            range: { type: "int", default: 95, min: 1, description: "Distance between view centers" },
+            radius: { type: "int", default: 47, min: 0, description: "View radius around each center" },
+            clients: { type: "int", default: 18, min: 1, description: "Number of stripes and clients" },
+            "max-rps": { type: "number", default: 1.5, above: 0, description: "Requests per second per client" },
+            "view-rate": { type: "number", default: 6, above: 0, description: "Shared view move budget per second" },
+            out: { type: "string", default: "./out", description: "Output directory" },
+            "metrics-port": metricsPortFlag,
+            ...configFlags
+        },
+        validate: args => {
+            validateCenter("--radius", args.radius, args.radius);
+
+            if (args.size - args.radius < args.radius) {
+                throw new ArgumentError("--size must be at least twice --radius");
             }
+        },
+        run: scan
+    },
+
+    "capture-from-image": {
+        description: "Capture kings on the boards marked white in a filtered image.",
+        flags: {
+            image: { type: "string", default: "./output.png", description: "Image with one pixel per board" },
+            x: { type: "int", default: 2, description: "Initial view center x" },
+            y: { type: "int", default: 2, description: "Initial view center y" },
+            "max-rps": { type: "number", default: 1.5, above: 0, description: "Requests per second" },
+            delay: { type: "int", default: 1000, min: 0, description: "Delay between boards, ms" },
+            ...configFlags
+        },
+        validate: args => validateCenter("--x/--y", args.x, args.y),
+        run: captureFromImage
+    }
+};
 
-            knight = client.board.get(board.x, board.y + 5);
-            if (knight !== null && knight._type === PieceTypes.PIECE_TYPE_KNIGHT) {
-                await client.movePiece(knight, knight.x + 1, knight.y - 2);
-            }
+function validateCenter(flagName, x, y) {
+    if (!Board.centerInBounds(x, y)) {
+        const min = Board.minCenterCoords,
+            max = Board.maxCenterCoords;
 
-            knight = client.board.get(board.x + 1, board.y + 3);
-            if (knight !== null && knight._type === PieceTypes.PIECE_TYPE_KNIGHT) {
-                await client.movePiece(knight, knight.x + 1, knight.y - 2);
-            }
+        throw new ArgumentError(`${flagName} ${x},${y} is out of bounds, must be within ${min}..${max}`);
+    }
+}
 
-            knight = client.board.get(board.x + 2, board.y + 1);
-            if (knight !== null && knight._type === PieceTypes.PIECE_TYPE_KNIGHT) {
-                await client.movePiece(knight, knight.x + 2, knight.y - 1);
-                failed = false;
-            }
-        };
+const program = "node index.js";
 
-        try {
-            await doMove();
-        } catch (err) {}
-        if (!failed) console.log(`${i}: ${board.x},${board.y} - success`);
+function parseArgs() {
+    let parsed;
 
-        await ChessClient.delay(1000);
-        prev = board;
+    try {
+        parsed = parseCommandLine(program, commands);
+        if (typeof parsed.help === "undefined") parsed.command.validate?.(parsed.flags);
+    } catch (err) {
+        if (!(err instanceof ArgumentError)) throw err;
+
+        const name = err.command ?? parsed?.name ?? null;
+        console.error(`ERROR: ${err.message}`);
+
+        if (name !== null) console.log(formatCommandUsage(program, name, commands[name]));
+        else console.log(formatUsage(program, commands));
+
+        process.exit(1);
     }
 
-    client.destroy();
+    if (typeof parsed.help !== "undefined") {
+        console.log(parsed.help);
+        process.exit(0);
+    }
+
+    return parsed;
 }
 
-async function main4() {}
-
-(() => {
-    const args = process.argv.slice(2),
-        progIdx = parseInt(args[0] ?? "1", 10);
-
-    switch (progIdx) {
-        case 1:
-            main1();
-            break;
-        case 2:
-            main2();
-            break;
-        case 3:
-            main3();
-            break;
-        case 4:
-            main4();
-            break;
-        default:
-            console.log("Invalid index.");
-            process.exit(1);
+function loadCommandConfig(flags, given) {
+    try {
+        return loadConfig({
+            path: flags.config,
+            flags: given,
+            defaultFlags: flags,
+            host: ChessClient.host
+        });
+    } catch (err) {
+        if (!(err instanceof ConfigError)) throw err;
+
+        console.error(`ERROR: ${err.message}`);
+        process.exit(1);
     }
-})();
+}
+
+async function main() {
+    const { command, flags, given } = parseArgs(),
+        config = loadCommandConfig(flags, given);
+
+    applyConfig(config);
+    await command.run(flags, config);
+}
+
+main();
@@ -0,0 +1,323 @@
+"use strict";
+
+const EventEmitter = require("events");
+const http = require("http");
+const net = require("net");
+
+const ProxyProtocols = Object.freeze({
+    http: "http",
+    socks5: "socks5"
+});
+
+class MockProxyServer extends EventEmitter {
+    static socksVersion = 0x05;
+
+    static socksMethods = {
+        none: 0x00,
+        password: 0x02,
+        unacceptable: 0xff
+    };
+
+    static socksReplies = {
+        succeeded: 0x00,
+        failure: 0x01,
+        hostUnreachable: 0x04,
+        commandUnsupported: 0x07
+    };
+
+    constructor(options = {}) {
+        super();
+
+        this.options = options;
+
+        this.host = options.host ?? "127.0.0.1";
+        this.port = options.port ?? 0;
+        this.protocol = options.protocol ?? ProxyProtocols.http;
+
+        this.username = options.username ?? null;
+        this.password = options.password ?? null;
+
+        this.failing = options.failing ?? false;
+
+        this.connections = 0;
+        this.totalConnections = 0;
+
+        this._server = null;
+        this._sockets = new Set();
+
+        if (!Object.values(ProxyProtocols).includes(this.protocol)) {
+            throw new TypeError("Invalid proxy protocol: " + this.protocol);
+        }
+    }
+
+    get url() {
+        const auth = this.username !== null ? `${this.username}:${this.password}@` : "";
+        return `${this.protocol}://${auth}${this.host}:${this.port}`;
+    }
+
+    listen() {
+        return new Promise((resolve, reject) => {
+            const server =
+                this.protocol === ProxyProtocols.http
+                    ? http.createServer((req, res) => res.writeHead(405).end())
+                    : net.createServer(socket => this._onSocksConnection(socket));
+
+            if (this.protocol === ProxyProtocols.http) {
+                server.on("connect", (req, socket, head) => this._onHttpConnect(req, socket, head));
+            }
+
+            server.on("connection", socket => {
+                this._sockets.add(socket);
+                socket.once("close", () => this._sockets.delete(socket));
+            });
+
+            server.once("error", reject);
+
+            server.listen(this.port, this.host, () => {
+                server.off("error", reject);
+
+                this.port = server.address().port;
+                resolve(this.port);
+            });
+
+            this._server = server;
+        });
+    }
+
+    close() {
+        if (this._server === null) return Promise.resolve();
+
+        for (const socket of this._sockets) socket.destroy();
+        this._sockets.clear();
+
+        return new Promise(resolve => {
+            this._server.close(() => resolve());
+            this._server = null;
+        });
+    }
+
+    _checkAuth(username, password) {
+        return this.username === null || (username === this.username && password === this.password);
+    }
+
+    _onHttpConnect(req, socket, head) {
+        socket.on("error", () => {});
+
+        const [, encoded] = (req.headers["proxy-authorization"] ?? "").split(" "),
+            [username, password] = Buffer.from(encoded ?? "", "base64")
+                .toString()
+                .split(/:(.*)/s);
+
+        if (!this._checkAuth(username, password)) {
+            socket.end("HTTP/1.1 407 Proxy Authentication Required\r\nProxy-Authenticate: Basic\r\n\r\n");
+            return this.emit("rejected", { reason: "auth", target: req.url });
+        }
+
+        if (this.failing) {
+            socket.end("HTTP/1.1 502 Bad Gateway\r\n\r\n");
+            return this.emit("rejected", { reason: "failing", target: req.url });
+        }
+
+        const { hostname, port } = new URL(`http://${req.url}`);
+
+        this._tunnel(socket, hostname, port, head, () => {
+            socket.write("HTTP/1.1 200 Connection Established\r\n\r\n");
+        });
+    }
+
+    _onSocksConnection(socket) {
+        const { socksVersion: version, socksMethods: methods, socksReplies: replies } = MockProxyServer;
+
+        const reply = code => Buffer.from([version, code, 0x00, 0x01, 0, 0, 0, 0, 0, 0]),
+            reader = MockProxyServer._createReader(socket);
+
+        socket.on("error", () => {});
+
+        (async () => {
+            const [greetVersion, methodCount] = await reader.read(2),
+                offered = [...(await reader.read(methodCount))];
+
+            if (greetVersion !== version) return socket.destroy();
+
+            const method = this.username !== null ? methods.password : methods.none;
+
+            if (!offered.includes(method)) {
+                socket.end(Buffer.from([version, methods.unacceptable]));
+                return this.emit("rejected", { reason: "auth" });
+            }
+
+            socket.write(Buffer.from([version, method]));
+
+            if (method === methods.password) {
+                const [, usernameLength] = await reader.read(2),
+                    username = (await reader.read(usernameLength)).toString(),
+                    [passwordLength] = await reader.read(1),
+                    password = (await reader.read(passwordLength)).toString();
+
+                if (!this._checkAuth(username, password)) {
+                    socket.end(Buffer.from([0x01, 0x01]));
+                    return this.emit("rejected", { reason: "auth" });
+                }
+
+                socket.write(Buffer.from([0x01, 0x00]));
+            }
+
+            const [, command, , addressType] = await reader.read(4);
+            let hostname;
+
+            switch (addressType) {
+                case 0x01:
+                    hostname = [...(await reader.read(4))].join(".");
+                    break;
+                case 0x03: {
+                    const [length] = await reader.read(1);
+                    hostname = (await reader.read(length)).toString();
+                    break;
+                }
+                case 0x04:
+                    hostname = (await reader.read(16)).toString("hex").match(/.{4}/g).join(":");
+                    break;
+                default:
+                    return socket.end(reply(replies.failure));
+            }
+
+            const port = (await reader.read(2)).readUInt16BE(0);
+
+            if (command !== 0x01) {
+                return socket.end(reply(replies.commandUnsupported));
+            }
+
+            if (this.failing) {
+                socket.end(reply(replies.hostUnreachable));
+                return this.emit("rejected", { reason: "failing", target: `${hostname}:${port}` });
+            }
+
+            this._tunnel(socket, hostname, port, reader.rest(), () => socket.write(reply(replies.succeeded)));
+        })().catch(() => socket.destroy());
+    }
+
+    _tunnel(socket, hostname, port, head, onConnected) {
+        const upstream = net.connect(port, hostname);
+        let tunneled = false;
+
+        upstream.once("error", () => {
+            socket.destroy();
+            upstream.destroy();
+        });
+
+        upstream.once("connect", () => {
+            tunneled = true;
+
+            this.connections++;
+            this.totalConnections++;
+
+            this.emit("tunnel", { target: `${hostname}:${port}` });
+            onConnected();
+
+            if (head?.length > 0) upstream.write(head);
+
+            socket.pipe(upstream);
+            upstream.pipe(socket);
+        });
+
+        socket.once("close", () => {
+            if (tunneled) this.connections--;
+            upstream.destroy();
+        });
+    }
+
+    static _createReader(socket) {
+        let buffer = Buffer.alloc(0),
+            waiter = null;
+
+        const onData = data => {
+            buffer = Buffer.concat([buffer, data]);
+            waiter?.();
+        };
+
+        socket.on("data", onData);
+        socket.once("close", () => waiter?.());
+
+        return {
+            async read(length) {
+                while (buffer.length < length) {
+                    if (socket.destroyed) throw new Error("Socket closed");
+                    await new Promise(resolve => (waiter = resolve));
+                    waiter = null;
+                }
+
+                const chunk = buffer.subarray(0, length);
+                buffer = buffer.subarray(length);
+
+                return chunk;
+            },
+
+            rest() {
+                socket.off("data", onData);
+                return buffer;
+            }
+        };
+    }
+}
+
+const usage = "Usage: node mock-proxy.js [port] [--socks] [--auth user:pass] [--failing]";
+const helpArgs = ["-h", "--help"];
+
+function parseArgs() {
+    const args = process.argv.slice(2);
+
+    if (helpArgs.some(help => args.includes(help))) {
+        console.log(usage);
+        process.exit(0);
+    }
+
+    const authIdx = args.indexOf("--auth"),
+        auth = authIdx !== -1 ? args.splice(authIdx, 2)[1] : null;
+
+    const positional = args.filter(arg => !arg.startsWith("--")),
+        port = parseInt(positional[0] ?? "8081", 10);
+
+    if (Number.isNaN(port)) {
+        console.error("ERROR: port must be a valid integer.");
+        console.log(usage);
+
+        process.exit(1);
+    }
+
+    if (authIdx !== -1 && !auth?.includes(":")) {
+        console.error("ERROR: auth must be given as user:pass.");
+        console.log(usage);
+
+        process.exit(1);
+    }
+
+    const [username, password] = auth?.split(/:(.*)/s) ?? [null, null];
+
+    return {
+        port,
+        protocol: args.includes("--socks") ? ProxyProtocols.socks5 : ProxyProtocols.http,
+        username,
+        password,
+        failing: args.includes("--failing")
+    };
+}
+
+async function main() {
+    const args = parseArgs(),
+        proxy = new MockProxyServer(args);
+
+    proxy.on("tunnel", ({ target }) => console.log(`Tunnel opened to ${target}.`));
+    proxy.on("rejected", ({ reason, target }) => console.log(`Connection rejected (${reason}) ${target ?? ""}`));
+
+    await proxy.listen();
+    console.log(`Mock proxy listening on ${proxy.url}`);
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = {
+    MockProxyServer,
+    ProxyProtocols
+};
@@ -0,0 +1,404 @@
+"use strict";
+
+const EventEmitter = require("events");
+const zlib = require("zlib");
+const { WebSocketServer } = require("ws");
+
+const { chess } = require("./chess.js");
+const { ServerMessage, ClientMessage, PieceDataShared } = chess;
+
+const { Board, PieceTypes, MoveTypes } = require("./ChessClient.js");
+
+const backRank = [
+    PieceTypes.PIECE_TYPE_ROOK,
+    PieceTypes.PIECE_TYPE_KNIGHT,
+    PieceTypes.PIECE_TYPE_BISHOP,
+    PieceTypes.PIECE_TYPE_QUEEN,
+    PieceTypes.PIECE_TYPE_KING,
+    PieceTypes.PIECE_TYPE_BISHOP,
+    PieceTypes.PIECE_TYPE_KNIGHT,
+    PieceTypes.PIECE_TYPE_ROOK
+];
+
+const boardsPerRow = Board.totalSize / Board.boardSize,
+    piecesPerBoard = 4 * Board.boardSize;
+
+class MockWorld extends Board {
+    constructor() {
+        const center = Board.totalSize / 2;
+        super(center, center, Board.totalSize + 1);
+
+        this._materialized = new Set();
+    }
+
+    has(x, y, validate) {
+        if (typeof x === "number") this._materialize(x, y);
+        return super.has(x, y, validate);
+    }
+
+    get(x, y, validate) {
+        if (typeof x === "number") this._materialize(x, y);
+        return super.get(x, y, validate);
+    }
+
+    getById(id) {
+        const boardIdx = Math.floor((id - 1) / piecesPerBoard),
+            x = (boardIdx % boardsPerRow) * Board.boardSize,
+            y = Math.floor(boardIdx / boardsPerRow) * Board.boardSize;
+
+        if (Board.pieceInBounds(x, y)) this._materialize(x, y);
+        return super.getById(id);
+    }
+
+    getView(centerX, centerY, radius) {
+        const pieces = [];
+
+        for (let y = centerY - radius; y <= centerY + radius; y++) {
+            for (let x = centerX - radius; x <= centerX + radius; x++) {
+                if (!Board.pieceInBounds(x, y)) continue;
+
+                const piece = this.get(x, y, false);
+                if (piece !== null) pieces.push(piece);
+            }
+        }
+
+        return pieces;
+    }
+
+    _materialize(x, y) {
+        if (!Board.pieceInBounds(x, y)) return;
+
+        const [cornerX, cornerY] = Board.getBoardCorner(x, y),
+            key = `${cornerX},${cornerY}`;
+
+        if (this._materialized.has(key)) return;
+        this._materialized.add(key);
+
+        const boardIdx = (cornerY / Board.boardSize) * boardsPerRow + cornerX / Board.boardSize;
+        let id = boardIdx * piecesPerBoard + 1;
+
+        const rows = [
+            [0, false, backRank],
+            [1, false, null],
+            [6, true, null],
+            [7, true, backRank]
+        ];
+
+        for (const [row, isWhite, types] of rows) {
+            for (let i = 0; i < Board.boardSize; i++) {
+                const type = types?.[i] ?? PieceTypes.PIECE_TYPE_PAWN;
+                super.set(cornerX + i, cornerY + row, { id: id++, type, isWhite }, false);
+            }
+        }
+    }
+}
+
+class MockChessServer extends EventEmitter {
+    static viewRadius = 47;
+    static maxBlockSize = 128 * 1024;
+
+    constructor(options = {}) {
+        super();
+
+        this.options = options;
+
+        this.host = options.host ?? "127.0.0.1";
+        this.port = options.port ?? 0;
+        this.path = options.path ?? "/ws";
+
+        this.compress = options.compress ?? false;
+        this.viewRadius = options.viewRadius ?? MockChessServer.viewRadius;
+
+        this.world = new MockWorld();
+        this.seqnum = 1;
+
+        this._wss = null;
+        this._clients = new Set();
+    }
+
+    get endpoint() {
+        return {
+            scheme: "ws",
+            host: `${this.host}:${this.port}`,
+            path: this.path
+        };
+    }
+
+    listen() {
+        return new Promise((resolve, reject) => {
+            const wss = new WebSocketServer({
+                host: this.host,
+                port: this.port,
+                path: this.path
+            });
+
+            wss.once("error", reject);
+
+            wss.once("listening", () => {
+                wss.off("error", reject);
+
+                this.port = wss.address().port;
+                resolve(this.port);
+            });
+
+            wss.on("connection", (ws, req) => this._onConnection(ws, req));
+            this._wss = wss;
+        });
+    }
+
+    close() {
+        if (this._wss === null) return Promise.resolve();
+
+        for (const client of this._clients) client.ws.terminate();
+        this._clients.clear();
+
+        return new Promise(resolve => {
+            this._wss.close(() => resolve());
+            this._wss = null;
+        });
+    }
+
+    static _encodeZstdFrame(data) {
+        if (typeof zlib.zstdCompressSync === "function") {
+            return zlib.zstdCompressSync(data);
+        }
+
+        const header = Buffer.alloc(9),
+            blocks = [];
+
+        // Single segment frame with a 4-byte content size, made of raw blocks
+        header.writeUInt32LE(0xfd2fb528, 0);
+        header[4] = 0xa0;
+        header.writeUInt32LE(data.length, 5);
+
+        let offset = 0;
+
+        do {
+            const chunk = data.subarray(offset, offset + this.maxBlockSize);
+            offset += chunk.length;
+
+            const last = Number(offset >= data.length),
+                blockHeader = (chunk.length << 3) | last;
+
+            blocks.push(Buffer.from([blockHeader & 0xff, (blockHeader >> 8) & 0xff, (blockHeader >> 16) & 0xff]));
+            blocks.push(chunk);
+        } while (offset < data.length);
+
+        return Buffer.concat([header, ...blocks]);
+    }
+
+    static _clampCenter(val) {
+        val = Number.parseInt(val, 10);
+        if (Number.isNaN(val)) val = Board.minCenterCoords;
+
+        return Math.min(Math.max(val, Board.minCenterCoords), Board.maxCenterCoords);
+    }
+
+    static _pieceToData(piece) {
+        return PieceDataShared.fromObject({
+            ...piece,
+            type: piece._type,
+            isWhite: piece._color === 1
+        });
+    }
+
+    _onConnection(ws, req) {
+        const params = new URL(req.url, "http://localhost").searchParams,
+            colorPref = params.get("colorPref");
+
+        const client = {
+            ws,
+            centerX: MockChessServer._clampCenter(params.get("x")),
+            centerY: MockChessServer._clampCenter(params.get("y")),
+            playingWhite: colorPref === "black" ? false : colorPref === "white" ? true : Math.random() < 0.5
+        };
+
+        this._clients.add(client);
+        this.emit("connection", client);
+
+        ws.on("message", data => this._onMessage(client, data));
+
+        ws.on("close", () => {
+            this._clients.delete(client);
+            this.emit("disconnect", client);
+        });
+
+        this._send(client, {
+            initialState: {
+                playingWhite: client.playingWhite,
+                position: { x: client.centerX, y: client.centerY },
+                snapshot: this._getSnapshot(client.centerX, client.centerY)
+            }
+        });
+    }
+
+    _onMessage(client, data) {
+        let msg;
+
+        try {
+            msg = ClientMessage.decode(new Uint8Array(data));
+        } catch (err) {
+            return client.ws.close(1003);
+        }
+
+        this.emit("message", client, msg);
+
+        switch (msg.payload) {
+            case "ping":
+                this._send(client, { pong: {} });
+                break;
+            case "subscribe":
+                this._handleSubscribe(client, msg.subscribe);
+                break;
+            case "move":
+                this._handleMove(client, msg.move);
+                break;
+        }
+    }
+
+    _handleSubscribe(client, subscribe) {
+        client.centerX = MockChessServer._clampCenter(subscribe.centerX);
+        client.centerY = MockChessServer._clampCenter(subscribe.centerY);
+
+        this._send(client, {
+            snapshot: this._getSnapshot(client.centerX, client.centerY)
+        });
+    }
+
+    _handleMove(client, move) {
+        const { pieceId, fromX, fromY, toX, toY, moveType, moveToken } = move,
+            piece = this.world.getById(pieceId);
+
+        const valid =
+            piece !== null &&
+            piece.x === fromX &&
+            piece.y === fromY &&
+            piece._color === Number(client.playingWhite) &&
+            this.world.canMovePiece(piece, toX, toY, moveType);
+
+        if (!valid) {
+            return this._send(client, {
+                invalidMove: { moveToken }
+            });
+        }
+
+        const captureY = moveType === MoveTypes.MOVE_TYPE_EN_PASSANT ? fromY : toY,
+            captured = this.world.get(toX, captureY, false),
+            rook = moveType === MoveTypes.MOVE_TYPE_CASTLE ? this.world.getCastlingRook(piece, toX) : null;
+
+        const seqnum = this.seqnum++;
+
+        if (captured !== null) this.world.capturePiece(captured, false);
+        this.world.movePiece(piece, toX, toY, moveType, captured !== null, false);
+
+        this._send(client, {
+            validMove: {
+                asOfSeqnum: seqnum,
+                moveToken,
+                capturedPieceId: captured?.id ?? 0
+            }
+        });
+
+        const moves = [piece, rook].filter(moved => moved !== null),
+            captures = captured !== null ? [{ capturedPieceId: captured.id, seqnum }] : [];
+
+        const positions = [[fromX, fromY], ...moves.map(moved => [moved.x, moved.y])];
+
+        this._broadcast(client, positions, {
+            movesAndCaptures: {
+                moves: moves.map(moved => ({
+                    x: moved.x,
+                    y: moved.y,
+                    seqnum,
+                    piece: MockChessServer._pieceToData(moved)
+                })),
+                captures
+            }
+        });
+    }
+
+    _getSnapshot(centerX, centerY) {
+        const pieces = this.world.getView(centerX, centerY, this.viewRadius);
+
+        return {
+            xCoord: centerX,
+            yCoord: centerY,
+            seqnum: this.seqnum - 1,
+            pieces: pieces.map(piece => ({
+                dx: piece.x - centerX,
+                dy: piece.y - centerY,
+                piece: MockChessServer._pieceToData(piece)
+            }))
+        };
+    }
+
+    _inView(client, x, y) {
+        return Board.distance(client.centerX, client.centerY, x, y, false) <= this.viewRadius;
+    }
+
+    _broadcast(sender, positions, msg) {
+        for (const client of this._clients) {
+            if (client === sender) continue;
+            if (!positions.some(([x, y]) => this._inView(client, x, y))) continue;
+
+            this._send(client, msg);
+        }
+    }
+
+    _send(client, msg) {
+        let data = ServerMessage.encode(msg).finish();
+        if (this.compress) data = MockChessServer._encodeZstdFrame(data);
+
+        client.ws.send(data);
+    }
+}
+
+const usage = "Usage: node mock-server.js [port] [--compress]";
+const helpArgs = ["-h", "--help"];
+
+function parseArgs() {
+    const args = process.argv.slice(2);
+
+    if (helpArgs.some(help => args.includes(help))) {
+        console.log(usage);
+        process.exit(0);
+    }
+
+    const positional = args.filter(arg => !arg.startsWith("--")),
+        port = parseInt(positional[0] ?? "8080", 10);
+
+    if (Number.isNaN(port)) {
+        console.error("ERROR: port must be a valid integer.");
+        console.log(usage);
+
+        process.exit(1);
+    }
+
+    return {
+        port,
+        compress: args.includes("--compress")
+    };
+}
+
+async function main() {
+    const args = parseArgs(),
+        server = new MockChessServer(args);
+
+    server.on("connection", client => {
+        console.log(`Client connected at ${client.centerX},${client.centerY}.`);
+    });
+
+    await server.listen();
+
+    const { scheme, host, path } = server.endpoint;
+    console.log(`Mock server listening on ${scheme}://${host}${path}`);
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = {
+    MockWorld,
+    MockChessServer
+};
@@ -0,0 +1,612 @@
+"use strict";
+
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { chess } = require("./chess.js");
+const { ServerMessage, ClientMessage } = chess;
+
+const { ChessClient, Board, PieceTypes, MoveTypes, ErrorCodes } = require("./ChessClient.js");
+const { MemoryTransport } = require("./Transport.js");
+const { MockChessServer } = require("./mock-server.js");
+const { MockProxyServer, ProxyProtocols } = require("./mock-proxy.js");
+const { ConfigError, parseCookieHeader, parseCookiesTxt, loadConfig } = require("./config-loader.js");
+
+const center = [100, 100],
+    rejectDelay = 50,
+    checkTimeout = 10000;
+
+const knights = [
+    { id: 1, x: 97, y: 96 },
+    { id: 2, x: 98, y: 98 }
+];
+
+function encodeMessage(msg) {
+    return ServerMessage.encode(msg).finish();
+}
+
+function sendInitialState(transport) {
+    const [xCoord, yCoord] = center;
+
+    transport.receive(
+        encodeMessage({
+            initialState: {
+                playingWhite: true,
+                position: { x: xCoord, y: yCoord },
+                snapshot: {
+                    xCoord,
+                    yCoord,
+                    seqnum: 1,
+                    pieces: knights.map(({ id, x, y }) => ({
+                        dx: x - xCoord,
+                        dy: y - yCoord,
+                        piece: { id, type: PieceTypes.PIECE_TYPE_KNIGHT, isWhite: true }
+                    }))
+                }
+            }
+        })
+    );
+}
+
+function createRejectingClient() {
+    const server = { inFlight: new Set(), overlaps: 0 },
+        onOpen = sendInitialState;
+
+    const onSend = (data, transport) => {
+        const msg = ClientMessage.decode(data);
+        if (msg.payload !== "move") return;
+
+        const { pieceId, moveToken } = msg.move;
+
+        if (server.inFlight.has(pieceId)) server.overlaps++;
+        server.inFlight.add(pieceId);
+
+        setTimeout(() => {
+            server.inFlight.delete(pieceId);
+            transport.receive(encodeMessage({ invalidMove: { moveToken } }));
+        }, rejectDelay);
+    };
+
+    const client = new ChessClient(center, "white", {
+        transport: MemoryTransport,
+        transportOptions: { onOpen, onSend },
+
+        optimistic: true,
+        maxRPS: Infinity,
+        reconnectDelay: 0
+    });
+
+    return { client, server };
+}
+
+async function expectRejected(promise, code) {
+    try {
+        await promise;
+    } catch (err) {
+        assert.strictEqual(err.code, code, err.message);
+        return;
+    }
+
+    assert.fail("Move was not rejected");
+}
+
+function assertStartPositions(client) {
+    for (const { id, x, y } of knights) {
+        const piece = client.board.getById(id);
+
+        assert.ok(piece !== null, `Piece ${id} is missing from the board`);
+        assert.deepStrictEqual([piece.x, piece.y], [x, y], `Piece ${id} was not restored`);
+        assert.strictEqual(piece.pendingMoves, 0, `Piece ${id} still has pending moves`);
+    }
+}
+
+async function checkChainedRollback(moves) {
+    const { client, server } = createRejectingClient();
+
+    try {
+        await client.init();
+
+        const results = moves.map(([id, x, y, code]) =>
+            expectRejected(client.movePiece(client.board.getById(id), x, y), code)
+        );
+
+        await Promise.all(results);
+
+        assert.strictEqual(server.overlaps, 0, "A piece had two moves in flight");
+        assertStartPositions(client);
+    } finally {
+        client.destroy();
+    }
+}
+
+async function checkDroppedHandshake(reconnect, destroy = false) {
+    let connections = 0;
+
+    const onOpen = transport => {
+        if (++connections > 1) sendInitialState(transport);
+        else if (!destroy) setImmediate(() => transport.close(1006));
+    };
+
+    const client = new ChessClient(center, "white", {
+        transport: MemoryTransport,
+        transportOptions: { onOpen },
+
+        maxRPS: Infinity,
+        reconnectDelay: reconnect ? 1 : 0
+    });
+
+    try {
+        const init = client.init();
+
+        if (destroy) {
+            setTimeout(() => client.destroy(), rejectDelay);
+
+            await assert.rejects(init, { code: ErrorCodes.DESTROYED });
+        } else if (!reconnect) {
+            await assert.rejects(init, { code: ErrorCodes.CONNECTION_FAILED });
+        } else {
+            await init;
+
+            assert.strictEqual(connections, 2, "Client did not reconnect");
+            assert.ok(client.board.getById(knights[0].id) !== null, "Board was not loaded");
+        }
+    } finally {
+        client.destroy();
+    }
+}
+
+async function checkAbortedViewMove() {
+    const onSend = (data, transport) => {
+        const msg = ClientMessage.decode(data);
+        if (msg.payload !== "subscribe") return;
+
+        const snapshot = { xCoord: msg.subscribe.centerX, yCoord: msg.subscribe.centerY, seqnum: 1, pieces: [] };
+        setTimeout(() => transport.receive(encodeMessage({ snapshot })), rejectDelay);
+    };
+
+    const client = new ChessClient(center, "white", {
+        transport: MemoryTransport,
+        transportOptions: { onOpen: sendInitialState, onSend },
+
+        maxRPS: Infinity,
+        reconnectDelay: 0
+    });
+
+    try {
+        await client.init();
+
+        const controller = new AbortController(),
+            aborted = client.moveView(300, 300, { signal: controller.signal });
+
+        setTimeout(() => controller.abort(), rejectDelay / 5);
+        await assert.rejects(aborted, { code: ErrorCodes.ABORTED });
+
+        await client.moveView(500, 500);
+        assert.deepStrictEqual([client.board.centerX, client.board.centerY], [500, 500], "Wrong view resolved");
+    } finally {
+        client.destroy();
+    }
+}
+
+function createBoard(pieces) {
+    const board = new Board(center);
+
+    for (const { x, y, ...data } of pieces) board.set(x, y, data);
+    return board;
+}
+
+function assertMoves(board, id, moves) {
+    const piece = board.getById(id);
+
+    for (const [toX, toY, legal, type = MoveTypes.MOVE_TYPE_NORMAL] of moves) {
+        const message = `Move of ${piece.type} ${id} to ${toX},${toY} should be ${legal ? "legal" : "illegal"}`;
+        assert.strictEqual(board.canMovePiece(piece, toX, toY, type), legal, message);
+    }
+}
+
+function nextTick() {
+    return new Promise(resolve => setImmediate(resolve));
+}
+
+function checkBoardSeqnums() {
+    const [{ id, x, y }] = knights,
+        board = createBoard([{ id, x, y, type: PieceTypes.PIECE_TYPE_KNIGHT, isWhite: true }]);
+
+    board.resetSeqnum(10);
+
+    assert.ok(board.isStale(10, id), "Update as old as the snapshot was not stale");
+    assert.ok(!board.isStale(11, id), "Update newer than the snapshot was stale");
+
+    board.applySeqnum(15, id);
+
+    assert.ok(board.isStale(14, id), "Update older than the last one of the piece was not stale");
+    assert.ok(!board.isStale(14, id + 1), "Seqnum of one piece applied to another");
+    assert.strictEqual(board.seqnum, 15);
+
+    board.resetSeqnum(20);
+    assert.ok(board.isStale(16, id + 1), "New snapshot seqnum was not applied");
+}
+
+async function checkStaleMovesDropped() {
+    let server = null;
+
+    const onOpen = transport => {
+        server = transport;
+        sendInitialState(transport);
+    };
+
+    const client = new ChessClient(center, "white", {
+        transport: MemoryTransport,
+        transportOptions: { onOpen },
+
+        maxRPS: Infinity,
+        reconnectDelay: 0
+    });
+
+    const [{ id, x, y }] = knights;
+
+    const moveKnight = async (toX, toY, seqnum) => {
+        const piece = { id, type: PieceTypes.PIECE_TYPE_KNIGHT, isWhite: true };
+
+        server.receive(
+            encodeMessage({ movesAndCaptures: { moves: [{ x: toX, y: toY, seqnum, piece }], captures: [] } })
+        );
+        await nextTick();
+
+        const { x: pieceX, y: pieceY } = client.board.getById(id);
+        return [pieceX, pieceY];
+    };
+
+    try {
+        await client.init();
+
+        assert.deepStrictEqual(await moveKnight(99, 97, 1), [x, y], "Move as old as the snapshot was applied");
+        assert.deepStrictEqual(await moveKnight(99, 97, 3), [99, 97], "Newer move was not applied");
+        assert.deepStrictEqual(await moveKnight(101, 98, 2), [99, 97], "Reordered older move was applied");
+    } finally {
+        client.destroy();
+    }
+}
+
+function checkMoveReconciliation() {
+    const [{ id, x, y }] = knights,
+        knight = { id, type: PieceTypes.PIECE_TYPE_KNIGHT, isWhite: true },
+        board = createBoard([{ x, y, ...knight }]),
+        piece = board.getById(id);
+
+    const moved = board.applyMove(99, 97, { ...knight, moveCount: 1 });
+
+    assert.strictEqual(moved, piece, "Known piece was not reconciled by id");
+    assert.strictEqual(board.get(x, y), null, "Previous square of the piece was not cleared");
+    assert.strictEqual(board.get(99, 97), piece);
+    assert.deepStrictEqual([piece.x, piece.y, piece.moveCount], [99, 97, 1], "Piece data was not updated");
+
+    const added = board.applyMove(101, 98, { ...knight, id: id + 10 });
+    assert.ok(added !== null && board.getById(id + 10) === added, "Unknown piece was not added");
+
+    assert.strictEqual(board.applyMove(300, 300, knight), null);
+    assert.strictEqual(board.getById(id), null, "Piece moved out of view was not removed");
+    assert.strictEqual(board.get(99, 97), null);
+}
+
+function checkPathBlocking() {
+    const { PIECE_TYPE_ROOK: rook, PIECE_TYPE_BISHOP: bishop, PIECE_TYPE_PAWN: pawn } = PieceTypes;
+
+    const board = createBoard([
+        { id: 1, type: rook, isWhite: true, x: 96, y: 103 },
+        { id: 2, type: pawn, isWhite: true, x: 96, y: 100 },
+        { id: 3, type: bishop, isWhite: true, x: 103, y: 103 },
+        { id: 4, type: pawn, isWhite: false, x: 101, y: 101 }
+    ]);
+
+    assertMoves(board, 1, [
+        [96, 101, true],
+        [96, 100, false],
+        [96, 98, false]
+    ]);
+
+    assertMoves(board, 3, [
+        [102, 102, true],
+        [101, 101, true],
+        [100, 100, false]
+    ]);
+}
+
+function checkFriendlyFire() {
+    const { PIECE_TYPE_KNIGHT: knight, PIECE_TYPE_PAWN: pawn } = PieceTypes;
+
+    const board = createBoard([
+        { id: 1, type: knight, isWhite: true, x: 97, y: 103 },
+        { id: 2, type: pawn, isWhite: true, x: 99, y: 102 },
+        { id: 3, type: pawn, isWhite: false, x: 96, y: 101 },
+        { id: 4, type: pawn, isWhite: true, x: 98, y: 102 }
+    ]);
+
+    assertMoves(board, 1, [
+        [99, 102, false],
+        [96, 101, true],
+        [98, 101, true]
+    ]);
+}
+
+function checkPawnMoves() {
+    const { PIECE_TYPE_KNIGHT: knight, PIECE_TYPE_PAWN: pawn } = PieceTypes;
+
+    const board = createBoard([
+        { id: 1, type: pawn, isWhite: true, x: 100, y: 102 },
+        { id: 2, type: knight, isWhite: false, x: 101, y: 101 },
+        { id: 3, type: pawn, isWhite: true, x: 96, y: 102, moveCount: 1 },
+        { id: 4, type: pawn, isWhite: false, x: 98, y: 101 },
+        { id: 5, type: pawn, isWhite: true, x: 98, y: 102 },
+        { id: 6, type: pawn, isWhite: false, x: 102, y: 97 }
+    ]);
+
+    assertMoves(board, 1, [
+        [100, 101, true],
+        [100, 100, true],
+        [101, 101, true],
+        [99, 101, false],
+        [100, 103, false]
+    ]);
+
+    assertMoves(board, 3, [
+        [96, 101, true],
+        [96, 100, false]
+    ]);
+
+    assertMoves(board, 5, [
+        [98, 101, false],
+        [98, 100, false]
+    ]);
+
+    assertMoves(board, 6, [
+        [102, 98, true],
+        [102, 96, false]
+    ]);
+}
+
+function checkCastling() {
+    const { PIECE_TYPE_KING: king, PIECE_TYPE_ROOK: rook, PIECE_TYPE_KNIGHT: knight } = PieceTypes,
+        castle = MoveTypes.MOVE_TYPE_CASTLE;
+
+    const createCastlingBoard = (kingMoves, rookMoves) =>
+        createBoard([
+            { id: 1, type: king, isWhite: true, x: 100, y: 103, moveCount: kingMoves },
+            { id: 2, type: rook, isWhite: true, x: 103, y: 103, moveCount: rookMoves },
+            { id: 3, type: rook, isWhite: true, x: 96, y: 103 },
+            { id: 4, type: knight, isWhite: true, x: 97, y: 103 }
+        ]);
+
+    const board = createCastlingBoard(0, 0);
+
+    assertMoves(board, 1, [
+        [102, 103, true, castle],
+        [98, 103, false, castle]
+    ]);
+
+    assertMoves(createCastlingBoard(1, 0), 1, [[102, 103, false, castle]]);
+    assertMoves(createCastlingBoard(0, 1), 1, [[102, 103, false, castle]]);
+
+    board.movePiece(board.getById(1), 102, 103, castle);
+
+    assert.strictEqual(board.get(102, 103)?.id, 1, "King wasn't moved");
+    assert.strictEqual(board.get(101, 103)?.id, 2, "Rook wasn't moved next to the king");
+    assert.strictEqual(board.get(103, 103), null, "Rook is still in the corner");
+}
+
+function checkEnPassant() {
+    const pawn = PieceTypes.PIECE_TYPE_PAWN,
+        enPassant = MoveTypes.MOVE_TYPE_EN_PASSANT;
+
+    const board = createBoard([
+        { id: 1, type: pawn, isWhite: true, x: 100, y: 99, moveCount: 2 },
+        { id: 2, type: pawn, isWhite: false, x: 101, y: 97 },
+        { id: 3, type: pawn, isWhite: false, x: 99, y: 99, moveCount: 2 },
+        { id: 4, type: pawn, isWhite: false, x: 98, y: 99, moveCount: 2, justDoubleMoved: true }
+    ]);
+
+    assertMoves(board, 1, [[99, 98, false, enPassant]]);
+    assertMoves(board, 3, [[98, 100, false, enPassant]]);
+
+    board.movePiece(board.getById(2), 101, 99, MoveTypes.MOVE_TYPE_NORMAL);
+    assert(board.getById(2).justDoubleMoved, "Double move wasn't recorded");
+
+    assertMoves(board, 1, [
+        [101, 98, true, enPassant],
+        [101, 98, false]
+    ]);
+
+    board.movePiece(board.getById(1), 101, 98, enPassant);
+
+    assert.strictEqual(board.get(101, 98)?.id, 1, "Pawn wasn't moved");
+    assert.strictEqual(board.getById(2), null, "Pawn captured en passant is still on the board");
+}
+
+function checkPromotion() {
+    const pawn = PieceTypes.PIECE_TYPE_PAWN;
+
+    const board = createBoard([
+        { id: 1, type: pawn, isWhite: true, x: 100, y: 97, moveCount: 5 },
+        { id: 2, type: pawn, isWhite: false, x: 101, y: 102, moveCount: 5 },
+        { id: 3, type: pawn, isWhite: true, x: 102, y: 99, moveCount: 3 }
+    ]);
+
+    for (const [id, toX, toY, promoted] of [
+        [1, 100, 96, true],
+        [2, 101, 103, true],
+        [3, 102, 98, false]
+    ]) {
+        const piece = board.movePiece(board.getById(id), toX, toY, MoveTypes.MOVE_TYPE_NORMAL);
+        const expected = promoted ? "promoted_pawn" : "pawn";
+
+        assert.strictEqual(piece.type, expected, `Pawn ${id} on ${toX},${toY} has the wrong type`);
+    }
+}
+
+function checkCookieParsing() {
+    const now = Math.floor(Date.now() / 1000);
+
+    const cookiesTxt = [
+        "# Netscape HTTP Cookie File",
+        ".example.com\tTRUE\t/\tTRUE\t0\tsession\tabc",
+        `#HttpOnly_.example.com\tTRUE\t/\tTRUE\t${now + 3600}\tcf_clearance\txyz`,
+        `example.com\tFALSE\t/\tTRUE\t${now - 3600}\texpired\told`,
+        ".other.com\tTRUE\t/\tTRUE\t0\tforeign\tno",
+        "malformed line"
+    ].join("\r\n");
+
+    assert.deepStrictEqual(parseCookiesTxt(cookiesTxt, "www.example.com"), { session: "abc", cf_clearance: "xyz" });
+    assert.deepStrictEqual(parseCookiesTxt(cookiesTxt), { session: "abc", cf_clearance: "xyz", foreign: "no" });
+
+    assert.deepStrictEqual(parseCookieHeader("a=1; b = 2; broken; =x; c=d=e"), { a: "1", b: "2", c: "d=e" });
+}
+
+function checkConfigLayers() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "omcb-config-"));
+
+    try {
+        const configPath = path.join(dir, "config.json");
+
+        fs.writeFileSync(
+            configPath,
+            JSON.stringify({
+                cookiesFile: "./cookies.txt",
+                cookies: { a: "file", b: "" },
+                maxRps: 1,
+                moveRate: 2,
+                viewRate: 3,
+                poolSize: 4
+            })
+        );
+
+        fs.writeFileSync(
+            path.join(dir, "cookies.txt"),
+            ["a", "b", "c"].map(name => `.example.com\tTRUE\t/\tTRUE\t0\t${name}\ttxt`).join("\n")
+        );
+
+        const config = loadConfig({
+            path: configPath,
+            env: { OMCB_MOVE_RATE: "5", OMCB_VIEW_RATE: "6", OMCB_COOKIES: "c=env" },
+            flags: { viewRate: 7 },
+            defaultFlags: { maxRps: 9, reconnectDelay: 100, poolSize: 10 },
+            host: "example.com"
+        });
+
+        assert.strictEqual(config.cookiesFile, path.join(dir, "cookies.txt"));
+        assert.deepStrictEqual(
+            [config.maxRps, config.moveRate, config.viewRate, config.poolSize, config.reconnectDelay],
+            [1, 5, 7, 4, 100],
+            "Config layers weren't applied in order"
+        );
+
+        assert.deepStrictEqual(config.cookies, { a: "file", b: "txt", c: "env" });
+
+        assert.throws(
+            () => loadConfig({ path: configPath, env: {}, flags: { maxRps: 0 } }),
+            err => err instanceof ConfigError && err.key === "maxRps"
+        );
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+}
+
+async function checkProxiedConnection(protocol, failing = false) {
+    const server = new MockChessServer(),
+        proxy = new MockProxyServer({ protocol, failing, username: "user", password: "pass" });
+
+    await server.listen();
+    await proxy.listen();
+
+    const client = new ChessClient(Board.minCenter, "white", {
+        ...server.endpoint,
+        proxy: proxy.url,
+
+        maxRPS: Infinity,
+        reconnectDelay: 0
+    });
+
+    try {
+        if (failing) {
+            await assert.rejects(client.init(), { code: ErrorCodes.CONNECTION_FAILED });
+            return;
+        }
+
+        await client.init();
+
+        assert.strictEqual(proxy.totalConnections, 1, "Client did not connect through the proxy");
+        assert.ok([...client.board.values()].length > 0, "No pieces received through the proxy");
+    } finally {
+        client.destroy();
+
+        await proxy.close();
+        await server.close();
+    }
+}
+
+const checks = {
+    "chained moves of the same piece wait for the server": () =>
+        checkChainedRollback([
+            [1, 99, 97, ErrorCodes.INVALID_MOVE],
+            [1, 101, 98, ErrorCodes.ILLEGAL_MOVE]
+        ]),
+
+    "rollback of a move into a square vacated by a pending move": () =>
+        checkChainedRollback([
+            [1, 99, 97, ErrorCodes.INVALID_MOVE],
+            [2, 97, 96, ErrorCodes.INVALID_MOVE]
+        ]),
+
+    "init waits for the initial state after a reconnect": () => checkDroppedHandshake(true),
+    "init fails when the connection drops without a reconnect": () => checkDroppedHandshake(false),
+    "init fails when the client is destroyed during the handshake": () => checkDroppedHandshake(true, true),
+
+    "late answer to an aborted view move is ignored": checkAbortedViewMove,
+
+    "stale seqnums on the board": checkBoardSeqnums,
+    "stale moves are dropped": checkStaleMovesDropped,
+
+    "moves are reconciled by piece id": checkMoveReconciliation,
+
+    "sliding pieces are blocked by pieces in their path": checkPathBlocking,
+    "pieces can't capture their own color": checkFriendlyFire,
+    "pawns push straight and capture diagonally": checkPawnMoves,
+    "castling needs an unmoved king and rook": checkCastling,
+    "en passant needs a pawn that just double moved": checkEnPassant,
+    "pawns are promoted on the last row": checkPromotion,
+
+    "cookies are parsed from cookies.txt and headers": checkCookieParsing,
+    "config layers are merged in order": checkConfigLayers,
+
+    "connection through an HTTP proxy": () => checkProxiedConnection(ProxyProtocols.http),
+    "connection through a SOCKS5 proxy": () => checkProxiedConnection(ProxyProtocols.socks5),
+    "connection through a failing proxy": () => checkProxiedConnection(ProxyProtocols.http, true)
+};
+
+async function main() {
+    let failed = 0;
+
+    for (const [name, check] of Object.entries(checks)) {
+        let timeout;
+
+        const timedOut = new Promise((resolve, reject) => {
+            timeout = setTimeout(() => reject(new Error(`Timed out after ${checkTimeout}ms`)), checkTimeout);
+        });
+
+        try {
+            await Promise.race([check(), timedOut]);
+            console.log(`ok - ${name}`);
+        } catch (err) {
+            failed++;
+            console.log(`not ok - ${name}: ${err.message}`);
+        } finally {
+            clearTimeout(timeout);
+        }
+    }
+
+    // A check that timed out may have left its client running
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+main();